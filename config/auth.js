@@ -0,0 +1,21 @@
+// Authentication feature switches
+module.exports = {
+  // Unless explicitly enabled, /api/auth/register only accepts invite tokens
+  allowOpenRegistration: process.env.ALLOW_OPEN_REGISTRATION === "true",
+  // Demo login hands out tokens without a password, so it is off outside
+  // development unless explicitly enabled
+  demoLoginEnabled: process.env.ENABLE_DEMO_LOGIN
+    ? process.env.ENABLE_DEMO_LOGIN === "true"
+    : process.env.NODE_ENV === "development",
+  inviteTtlDays: Number.parseInt(process.env.INVITE_TTL_DAYS) || 7,
+  // Brute-force protection: an account locks after `loginMaxFailures`
+  // consecutive failures, an IP is blocked after `ipMaxFailures` failures
+  // within `ipWindowMinutes`, and failed attempts are slowed down
+  // progressively once `loginDelayAfter` failures have been reached
+  loginMaxFailures: Number.parseInt(process.env.LOGIN_MAX_FAILURES) || 5,
+  lockoutMinutes: Number.parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  ipMaxFailures: Number.parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20,
+  ipWindowMinutes: Number.parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15,
+  loginDelayAfter: 2,
+  loginMaxDelayMs: 8000,
+}
@@ -0,0 +1,13 @@
+const path = require("path")
+
+// Background import settings
+module.exports = {
+  // Uploaded files and rejected-row reports. Must be shared storage when
+  // several server processes pick up jobs.
+  storageDir: process.env.IMPORT_STORAGE_DIR || path.join(__dirname, "..", "tmp", "imports"),
+  maxFileSizeMb: Number.parseInt(process.env.IMPORT_MAX_FILE_MB) || 50,
+  // Valid rows are inserted this many at a time
+  batchSize: Number.parseInt(process.env.IMPORT_BATCH_SIZE) || 500,
+  // Rejected-row reports are deleted this many days after their import finished
+  errorReportRetentionDays: Number.parseInt(process.env.IMPORT_ERROR_RETENTION_DAYS) || 7,
+}
@@ -0,0 +1,59 @@
+// Role → permission matrix. `buyers.viewAll` and `buyers.editAll` lift the
+// ownership restriction for reading and changing other users' buyers; without
+// them users work on their own buyers and, for team leads, their team's.
+const ROLES = ["agent", "team_lead", "manager", "auditor", "admin"]
+
+const PERMISSIONS = [
+  "buyers.read",
+  "buyers.create",
+  "buyers.update",
+  "buyers.delete",
+  "buyers.import",
+  "buyers.export",
+  "buyers.bulk",
+  "buyers.reassign",
+  "buyers.viewAll",
+  "buyers.editAll",
+  "buyers.purge",
+  "analytics.view",
+  "teams.manage",
+  "assignment.manage",
+  "leadSites.manage",
+  "webhooks.manage",
+  "reports.manage",
+  "users.manage",
+]
+
+const agentPermissions = [
+  "buyers.read",
+  "buyers.create",
+  "buyers.update",
+  "buyers.delete",
+  "buyers.import",
+  "buyers.export",
+]
+
+const teamLeadPermissions = [...agentPermissions, "buyers.bulk", "buyers.reassign", "analytics.view"]
+
+const rolePermissions = {
+  agent: agentPermissions,
+  team_lead: teamLeadPermissions,
+  manager: [
+    ...teamLeadPermissions,
+    "buyers.viewAll",
+    "buyers.editAll",
+    "teams.manage",
+    "assignment.manage",
+    "leadSites.manage",
+    "webhooks.manage",
+    "reports.manage",
+  ],
+  auditor: ["buyers.read", "buyers.export", "buyers.viewAll", "analytics.view"],
+  admin: PERMISSIONS,
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  rolePermissions,
+}
@@ -0,0 +1,13 @@
+const path = require("path")
+
+// Scheduled report settings
+module.exports = {
+  // Generated report files. Must be shared storage when several server
+  // processes run reports.
+  storageDir: process.env.REPORT_STORAGE_DIR || path.join(__dirname, "..", "tmp", "reports"),
+  // Base URL of this API, used for download links in report emails
+  publicUrl: process.env.API_URL || `http://localhost:${process.env.PORT || 5000}`,
+  pollIntervalMs: Number.parseInt(process.env.REPORT_POLL_INTERVAL_MS) || 30000,
+  // Report files are deleted this many days after their run finished
+  retentionDays: Number.parseInt(process.env.REPORT_RETENTION_DAYS) || 30,
+}
@@ -0,0 +1,38 @@
+// Status pipeline configuration. Each status maps to the statuses a lead may
+// move to next; `initial` lists the statuses a new lead may be created in.
+// Override with a JSON object in STATUS_PIPELINE, e.g.
+// STATUS_PIPELINE='{"transitions":{"Dropped":["New"]}}'
+const defaultPipeline = {
+  initial: ["New", "Qualified", "Contacted", "Visited", "Negotiation"],
+  transitions: {
+    New: ["Qualified", "Contacted", "Dropped"],
+    Qualified: ["Contacted", "Dropped"],
+    Contacted: ["Visited", "Negotiation", "Dropped"],
+    Visited: ["Negotiation", "Dropped"],
+    Negotiation: ["Converted", "Dropped"],
+    Converted: [],
+    Dropped: [],
+  },
+  // Statuses that require a reason to move into
+  reasonRequired: ["Dropped"],
+}
+
+function loadPipeline() {
+  if (!process.env.STATUS_PIPELINE) {
+    return defaultPipeline
+  }
+
+  try {
+    const override = JSON.parse(process.env.STATUS_PIPELINE)
+    return {
+      initial: override.initial || defaultPipeline.initial,
+      transitions: { ...defaultPipeline.transitions, ...override.transitions },
+      reasonRequired: override.reasonRequired || defaultPipeline.reasonRequired,
+    }
+  } catch (error) {
+    console.error("Invalid STATUS_PIPELINE configuration, using defaults:", error.message)
+    return defaultPipeline
+  }
+}
+
+module.exports = loadPipeline()
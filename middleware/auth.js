@@ -1,7 +1,76 @@
 const jwt = require("jsonwebtoken")
 const pool = require("../config/database")
+const { rolePermissions } = require("../config/permissions")
+const { hashToken } = require("../utils/tokens")
+
+// Users whose buyers this user may see and edit: themselves plus the
+// members of every team they lead
+async function loadVisibleUserIds(userId) {
+  const teamResult = await pool.query(
+    `
+    SELECT DISTINCT m.user_id
+    FROM team_members lead
+    JOIN team_members m ON m.team_id = lead.team_id
+    WHERE lead.user_id = $1 AND lead.role = 'lead'
+  `,
+    [userId],
+  )
+  return [...new Set([userId, ...teamResult.rows.map((row) => row.user_id)])]
+}
+
+// Authenticate a machine integration by its X-API-Key header. The request
+// acts as the key's owner, limited to the key's scopes.
+async function authenticateApiKey(apiKey, req, res, next) {
+  try {
+    const keyResult = await pool.query(
+      `
+      SELECT 
+        k.id as api_key_id,
+        k.scopes,
+        u.id,
+        u.email,
+        u.role,
+        u.is_active
+      FROM api_keys k
+      JOIN users u ON k.user_id = u.id
+      WHERE k.key_hash = $1 
+        AND k.revoked_at IS NULL 
+        AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+    `,
+      [hashToken(apiKey)],
+    )
+
+    if (keyResult.rows.length === 0) {
+      return res.status(401).json({ error: "Invalid or revoked API key" })
+    }
+
+    const { api_key_id, scopes, is_active, ...user } = keyResult.rows[0]
+
+    if (!is_active) {
+      return res.status(403).json({ error: "This account has been deactivated" })
+    }
+
+    req.user = { ...user, apiKeyId: api_key_id, apiKeyScopes: scopes }
+    req.user.visibleUserIds = await loadVisibleUserIds(req.user.id)
+
+    // Usage tracking shouldn't hold up the request
+    pool.query("UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1", [api_key_id]).catch((error) => {
+      console.error("API key usage tracking error:", error)
+    })
+
+    next()
+  } catch (error) {
+    console.error("API key verification error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+}
 
 const authenticateToken = async (req, res, next) => {
+  const apiKey = req.headers["x-api-key"]
+  if (apiKey) {
+    return authenticateApiKey(apiKey, req, res, next)
+  }
+
   const authHeader = req.headers["authorization"]
   const token = authHeader && authHeader.split(" ")[1]
 
@@ -12,29 +81,115 @@ const authenticateToken = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET)
 
-    // Verify user still exists
-    const userResult = await pool.query("SELECT id, email, role FROM users WHERE id = $1", [decoded.userId])
+    // Verify user still exists and the session hasn't been logged out
+    const userResult = await pool.query(
+      `
+      SELECT 
+        u.id,
+        u.email,
+        u.role,
+        u.is_active,
+        EXISTS (
+          SELECT 1 FROM refresh_tokens rt
+          WHERE rt.family_id = $2 AND rt.user_id = u.id AND rt.revoked_at IS NULL
+        ) as session_active
+      FROM users u
+      WHERE u.id = $1
+    `,
+      [decoded.userId, decoded.sid || null],
+    )
 
     if (userResult.rows.length === 0) {
       return res.status(401).json({ error: "User not found" })
     }
 
-    req.user = userResult.rows[0]
+    const { session_active, is_active, ...user } = userResult.rows[0]
+
+    if (!is_active) {
+      return res.status(403).json({ error: "This account has been deactivated" })
+    }
+
+    if (!session_active) {
+      return res.status(401).json({ error: "Session has been revoked. Please log in again." })
+    }
+
+    req.user = { ...user, sessionId: decoded.sid }
+    req.user.visibleUserIds = await loadVisibleUserIds(req.user.id)
+
     next()
   } catch (error) {
+    // Let clients know they can use their refresh token
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ error: "Access token expired", code: "TOKEN_EXPIRED" })
+    }
     console.error("Token verification error:", error)
     return res.status(403).json({ error: "Invalid or expired token" })
   }
 }
 
-const requireAdmin = (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return res.status(403).json({ error: "Admin access required" })
+// Reject API key requests on routes meant for interactive sessions
+const requireSession = (req, res, next) => {
+  if (req.user.apiKeyId) {
+    return res.status(403).json({ error: "This endpoint is not available to API keys" })
   }
   next()
 }
 
+// API keys only get the permissions in their scopes, and never more than
+// their owner's role allows
+function hasPermission(user, permission) {
+  if (user.apiKeyScopes && !user.apiKeyScopes.includes(permission)) {
+    return false
+  }
+  return (rolePermissions[user.role] || []).includes(permission)
+}
+
+// Middleware factory: reject requests from users lacking any of the given permissions
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    const missing = permissions.filter((permission) => !hasPermission(req.user, permission))
+    if (missing.length > 0) {
+      return res.status(403).json({ error: "Permission denied", missingPermissions: missing })
+    }
+    next()
+  }
+
+// Helper function to check ownership. Team leads can act on buyers owned by
+// their team members; `access` is "edit" or "view".
+function checkOwnership(req, buyerOwnerId, access = "edit") {
+  if (req.user.id === buyerOwnerId) {
+    return true
+  }
+  if (hasPermission(req.user, access === "view" ? "buyers.viewAll" : "buyers.editAll")) {
+    return true
+  }
+  return (req.user.visibleUserIds || []).includes(buyerOwnerId)
+}
+
+// Buyers can be handed to anyone by users who can edit every buyer, and by
+// team leads to their own team members
+function canAssignTo(req, userId) {
+  return hasPermission(req.user, "buyers.editAll") || (req.user.visibleUserIds || []).includes(userId)
+}
+
+// SQL condition limiting a buyers query to what the user may see. Appends its
+// parameter to `queryParams`; users with buyers.viewAll see everything.
+function ownershipCondition(req, queryParams, column = "b.owner_id") {
+  if (hasPermission(req.user, "buyers.viewAll")) {
+    return ""
+  }
+  queryParams.push(req.user.visibleUserIds || [req.user.id])
+  return ` AND ${column} = ANY($${queryParams.length}::uuid[])`
+}
+
 module.exports = {
   authenticateToken,
-  requireAdmin,
+  requireSession,
+  hasPermission,
+  requirePermission,
+  checkOwnership,
+  ownershipCondition,
+  canAssignTo,
+  loadVisibleUserIds,
 }
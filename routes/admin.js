@@ -0,0 +1,354 @@
+const express = require("express")
+const crypto = require("crypto")
+const z = require("zod")
+const pool = require("../config/database")
+const authConfig = require("../config/auth")
+const { ROLES } = require("../config/permissions")
+const { hashToken, revokeAllSessions } = require("../utils/tokens")
+const { sendMail } = require("../utils/mailer")
+const { recordAuthEvent, resetAccountFailures } = require("../utils/loginProtection")
+
+const router = express.Router()
+
+const RoleEnum = z.enum(ROLES)
+
+const userListSchema = z.object({
+  search: z.string().optional().or(z.literal("")),
+  page: z.union([z.coerce.number().int().min(1), z.literal("")]).default(1),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(20),
+})
+
+const inviteSchema = z.object({
+  email: z.string().email("Invalid email format"),
+  role: RoleEnum.default("agent"),
+})
+
+const roleSchema = z.object({
+  role: RoleEnum,
+})
+
+const authEventsQuerySchema = z.object({
+  eventType: z
+    .enum(["login_success", "login_failure", "login_blocked", "lockout", "unlock"])
+    .optional()
+    .or(z.literal("")),
+  userId: z.string().uuid("Invalid user id").optional().or(z.literal("")),
+  email: z.string().optional().or(z.literal("")),
+  ip: z.string().optional().or(z.literal("")),
+  from: z.string().datetime({ offset: true }).optional().or(z.literal("")),
+  to: z.string().datetime({ offset: true }).optional().or(z.literal("")),
+  page: z.union([z.coerce.number().int().min(1), z.literal("")]).default(1),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(50),
+})
+
+// GET /api/admin/users - List users
+router.get("/users", async (req, res) => {
+  try {
+    const { search, page, limit } = userListSchema.parse(req.query)
+    const pageNumber = page || 1
+    const pageSize = limit || 20
+
+    let query = `
+      SELECT 
+        id, email, role, is_active, deactivated_at, failed_login_count, locked_until, created_at, updated_at,
+        COUNT(*) OVER() as total_count
+      FROM users
+    `
+    const queryParams = []
+
+    if (search) {
+      queryParams.push(`%${search}%`)
+      query += ` WHERE email ILIKE $${queryParams.length}`
+    }
+
+    queryParams.push(pageSize)
+    query += ` ORDER BY email ASC LIMIT $${queryParams.length}`
+
+    queryParams.push((pageNumber - 1) * pageSize)
+    query += ` OFFSET $${queryParams.length}`
+
+    const result = await pool.query(query, queryParams)
+
+    const totalCount = result.rows.length > 0 ? Number.parseInt(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(totalCount / pageSize)
+
+    const users = result.rows.map((row) => {
+      const { total_count, ...user } = row
+      return user
+    })
+
+    res.json({
+      users,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalCount,
+        totalPages,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("List users error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/admin/users/invite - Invite a new user by email
+router.post("/users/invite", async (req, res) => {
+  try {
+    const { email, role } = inviteSchema.parse(req.body)
+
+    const existingUser = await pool.query("SELECT id FROM users WHERE LOWER(email) = LOWER($1)", [email])
+    if (existingUser.rows.length > 0) {
+      return res.status(400).json({ error: "User already exists with this email" })
+    }
+
+    const inviteToken = crypto.randomBytes(32).toString("base64url")
+
+    // A new invite replaces any pending one for the same email
+    await pool.query(
+      "UPDATE user_invites SET expires_at = CURRENT_TIMESTAMP WHERE LOWER(email) = LOWER($1) AND accepted_at IS NULL",
+      [email],
+    )
+
+    const result = await pool.query(
+      `
+      INSERT INTO user_invites (email, role, token_hash, invited_by, expires_at)
+      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + make_interval(days => $5))
+      RETURNING id, email, role, expires_at, created_at
+    `,
+      [email, role, hashToken(inviteToken), req.user.id, authConfig.inviteTtlDays],
+    )
+
+    const inviteUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/register?invite=${inviteToken}`
+
+    await sendMail({
+      to: email,
+      subject: "You're invited to Buyer Leads",
+      text: `${req.user.email} invited you to join Buyer Leads. Create your account here within ${authConfig.inviteTtlDays} days:\n\n${inviteUrl}`,
+    })
+
+    res.status(201).json({
+      message: "Invitation sent",
+      invite: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Invite user error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/admin/users/:id/role - Change a user's role
+router.put("/users/:id/role", async (req, res) => {
+  try {
+    const { role } = roleSchema.parse(req.body)
+
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: "You cannot change your own role" })
+    }
+
+    const result = await pool.query(
+      "UPDATE users SET role = $1 WHERE id = $2 RETURNING id, email, role, is_active",
+      [role, req.params.id],
+    )
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    res.json({
+      message: "Role updated successfully",
+      user: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Change role error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/admin/users/:id/deactivate - Deactivate a user and end their sessions
+router.post("/users/:id/deactivate", async (req, res) => {
+  try {
+    if (req.params.id === req.user.id) {
+      return res.status(400).json({ error: "You cannot deactivate your own account" })
+    }
+
+    const result = await pool.query(
+      `
+      UPDATE users 
+      SET is_active = FALSE, deactivated_at = COALESCE(deactivated_at, CURRENT_TIMESTAMP) 
+      WHERE id = $1 
+      RETURNING id, email, role, is_active, deactivated_at
+    `,
+      [req.params.id],
+    )
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    await revokeAllSessions(req.params.id)
+
+    res.json({
+      message: "User deactivated successfully",
+      user: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Deactivate user error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/admin/users/:id/reactivate - Reactivate a user
+router.post("/users/:id/reactivate", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE users 
+      SET is_active = TRUE, deactivated_at = NULL 
+      WHERE id = $1 
+      RETURNING id, email, role, is_active, deactivated_at
+    `,
+      [req.params.id],
+    )
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    res.json({
+      message: "User reactivated successfully",
+      user: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Reactivate user error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/admin/users/:id/unlock - Clear a login lockout
+router.post("/users/:id/unlock", async (req, res) => {
+  try {
+    const userResult = await pool.query("SELECT id, email FROM users WHERE id = $1", [req.params.id])
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    const user = userResult.rows[0]
+
+    await resetAccountFailures(user.id)
+    await recordAuthEvent("unlock", req, {
+      userId: user.id,
+      email: user.email,
+      details: { unlockedBy: req.user.id },
+    })
+
+    res.json({ message: "User unlocked successfully" })
+  } catch (error) {
+    console.error("Unlock user error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/admin/auth-events - Query the authentication audit log
+router.get("/auth-events", async (req, res) => {
+  try {
+    const { eventType, userId, email, ip, from, to, page, limit } = authEventsQuerySchema.parse(req.query)
+    const pageNumber = page || 1
+    const pageSize = limit || 50
+
+    let query = `
+      SELECT 
+        e.*,
+        COUNT(*) OVER() as total_count
+      FROM auth_events e
+      WHERE 1=1
+    `
+    const queryParams = []
+
+    if (eventType) {
+      queryParams.push(eventType)
+      query += ` AND e.event_type = $${queryParams.length}`
+    }
+
+    if (userId) {
+      queryParams.push(userId)
+      query += ` AND e.user_id = $${queryParams.length}`
+    }
+
+    if (email) {
+      queryParams.push(`%${email}%`)
+      query += ` AND e.email ILIKE $${queryParams.length}`
+    }
+
+    if (ip) {
+      queryParams.push(ip)
+      query += ` AND e.ip_address = $${queryParams.length}`
+    }
+
+    if (from) {
+      queryParams.push(from)
+      query += ` AND e.created_at >= $${queryParams.length}`
+    }
+
+    if (to) {
+      queryParams.push(to)
+      query += ` AND e.created_at < $${queryParams.length}`
+    }
+
+    queryParams.push(pageSize)
+    query += ` ORDER BY e.created_at DESC LIMIT $${queryParams.length}`
+
+    queryParams.push((pageNumber - 1) * pageSize)
+    query += ` OFFSET $${queryParams.length}`
+
+    const result = await pool.query(query, queryParams)
+
+    const totalCount = result.rows.length > 0 ? Number.parseInt(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(totalCount / pageSize)
+
+    const events = result.rows.map((row) => {
+      const { total_count, ...event } = row
+      return event
+    })
+
+    res.json({
+      events,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalCount,
+        totalPages,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get auth events error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
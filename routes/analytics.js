@@ -0,0 +1,160 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { analyticsQuerySchema } = require("../utils/validation")
+const { ownershipCondition } = require("../middleware/auth")
+const { buildFilterConditions } = require("../utils/buyerFilters")
+
+const router = express.Router()
+
+// Dimensions reported as simple counts
+const countDimensions = {
+  status: "status",
+  city: "city",
+  propertyType: "property_type",
+  source: "source",
+  timeline: "timeline",
+}
+
+// GET /api/analytics/summary - Pipeline numbers for the dashboard
+router.get("/summary", async (req, res) => {
+  try {
+    const filters = analyticsQuerySchema.parse(req.query)
+    const weeks = filters.weeks || 12
+
+    // Every query below starts from the buyers this user may see, narrowed by the filters
+    const queryParams = []
+    const scopedBuyers = `
+      scoped AS (
+        SELECT b.*
+        FROM buyers b
+        WHERE b.deleted_at IS NULL
+        ${ownershipCondition(req, queryParams)}
+        ${buildFilterConditions(filters, queryParams)}
+      )
+    `
+
+    const countsQuery = `
+      WITH ${scopedBuyers}
+      ${Object.entries(countDimensions)
+        .map(
+          ([dimension, column]) =>
+            `SELECT '${dimension}' as dimension, ${column} as value, COUNT(*)::int as count FROM scoped GROUP BY ${column}`,
+        )
+        .join(" UNION ALL ")}
+    `
+
+    const conversionQuery = `
+      WITH ${scopedBuyers}
+      SELECT 
+        COUNT(*)::int as total,
+        COUNT(*) FILTER (WHERE status = 'Converted')::int as converted,
+        COUNT(*) FILTER (WHERE status = 'Dropped')::int as dropped
+      FROM scoped
+    `
+
+    // Each lead enters its first status when created and a new one on every
+    // recorded status change; the time until the next change is the time
+    // spent in that status. Stays that haven't ended yet are left out.
+    const timeInStatusQuery = `
+      WITH ${scopedBuyers},
+      status_events AS (
+        SELECT bh.buyer_id, bh.changed_at, COALESCE(bh.diff->'data'->>'status', 'New') as status
+        FROM buyer_history bh
+        JOIN scoped s ON s.id = bh.buyer_id
+        WHERE bh.diff->>'action' IN ('created', 'imported')
+          AND bh.diff->>'mergedFromBuyerId' IS NULL
+        UNION ALL
+        SELECT bh.buyer_id, bh.changed_at, bh.diff->'changes'->'status'->>'to' as status
+        FROM buyer_history bh
+        JOIN scoped s ON s.id = bh.buyer_id
+        WHERE bh.diff->'changes' ? 'status'
+          AND bh.diff->>'mergedFromBuyerId' IS NULL
+      ),
+      stays AS (
+        SELECT 
+          status,
+          EXTRACT(EPOCH FROM (LEAD(changed_at) OVER (PARTITION BY buyer_id ORDER BY changed_at) - changed_at)) as seconds
+        FROM status_events
+      )
+      SELECT 
+        status,
+        percentile_cont(0.5) WITHIN GROUP (ORDER BY seconds) as median_seconds,
+        COUNT(*)::int as transitions
+      FROM stays
+      WHERE seconds IS NOT NULL
+      GROUP BY status
+    `
+
+    const trendParams = [...queryParams, weeks]
+    const trendQuery = `
+      WITH ${scopedBuyers},
+      week_series AS (
+        SELECT generate_series(
+          date_trunc('week', CURRENT_TIMESTAMP) - make_interval(weeks => $${trendParams.length}::int - 1),
+          date_trunc('week', CURRENT_TIMESTAMP),
+          INTERVAL '1 week'
+        ) as week
+      )
+      SELECT ws.week, COUNT(s.id)::int as count
+      FROM week_series ws
+      LEFT JOIN scoped s ON date_trunc('week', s.created_at) = ws.week
+      GROUP BY ws.week
+      ORDER BY ws.week
+    `
+
+    const [countsResult, conversionResult, timeInStatusResult, trendResult] = await Promise.all([
+      pool.query(countsQuery, queryParams),
+      pool.query(conversionQuery, queryParams),
+      pool.query(timeInStatusQuery, queryParams),
+      pool.query(trendQuery, trendParams),
+    ])
+
+    const counts = Object.fromEntries(Object.keys(countDimensions).map((dimension) => [dimension, {}]))
+    for (const row of countsResult.rows) {
+      counts[row.dimension][row.value] = row.count
+    }
+
+    const { total, converted, dropped } = conversionResult.rows[0]
+
+    const medianTimeInStatus = {}
+    for (const row of timeInStatusResult.rows) {
+      const medianSeconds = Number(row.median_seconds)
+      medianTimeInStatus[row.status] = {
+        medianHours: Math.round((medianSeconds / 3600) * 10) / 10,
+        medianDays: Math.round((medianSeconds / 86400) * 10) / 10,
+        transitions: row.transitions,
+      }
+    }
+
+    res.json({
+      total,
+      counts,
+      conversion: {
+        converted,
+        dropped,
+        rate: total > 0 ? Math.round((converted / total) * 10000) / 10000 : 0,
+      },
+      medianTimeInStatus,
+      weeklyNewLeads: trendResult.rows.map((row) => ({ week: row.week, count: row.count })),
+      filters: {
+        city: filters.city,
+        propertyType: filters.propertyType,
+        status: filters.status,
+        timeline: filters.timeline,
+        search: filters.search,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get analytics summary error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,139 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { assignmentRuleSchema } = require("../utils/validation")
+
+const router = express.Router()
+
+// Rule fields mapped to assignment_rules columns
+const ruleColumns = {
+  name: "name",
+  priority: "priority",
+  active: "active",
+  cities: "cities",
+  propertyTypes: "property_types",
+  purposes: "purposes",
+  budgetMin: "budget_min",
+  budgetMax: "budget_max",
+  intakeUserIds: "intake_user_ids",
+  strategy: "strategy",
+  agentIds: "agent_ids",
+}
+
+// Make sure every referenced user exists before saving a rule
+async function findUnknownUsers(rule) {
+  const userIds = [...new Set([...(rule.agentIds || []), ...(rule.intakeUserIds || [])])]
+  if (userIds.length === 0) return []
+
+  const result = await pool.query("SELECT id FROM users WHERE id = ANY($1::uuid[])", [userIds])
+  const existingIds = new Set(result.rows.map((row) => row.id))
+  return userIds.filter((id) => !existingIds.has(id))
+}
+
+// GET /api/assignment-rules - List rules in evaluation order
+router.get("/", async (req, res) => {
+  try {
+    const result = await pool.query("SELECT * FROM assignment_rules ORDER BY priority ASC, created_at ASC")
+    res.json({ rules: result.rows })
+  } catch (error) {
+    console.error("Get assignment rules error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/assignment-rules - Create a rule
+router.post("/", async (req, res) => {
+  try {
+    const rule = assignmentRuleSchema.parse(req.body)
+
+    const unknownUsers = await findUnknownUsers(rule)
+    if (unknownUsers.length > 0) {
+      return res.status(400).json({ error: "Unknown users in rule", userIds: unknownUsers })
+    }
+
+    const keys = Object.keys(ruleColumns)
+    const result = await pool.query(
+      `
+      INSERT INTO assignment_rules (${keys.map((key) => ruleColumns[key]).join(", ")})
+      VALUES (${keys.map((_, index) => `$${index + 1}`).join(", ")})
+      RETURNING *
+    `,
+      keys.map((key) => rule[key] ?? null),
+    )
+
+    res.status(201).json({
+      message: "Assignment rule created successfully",
+      rule: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create assignment rule error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/assignment-rules/:id - Replace a rule
+router.put("/:id", async (req, res) => {
+  try {
+    const rule = assignmentRuleSchema.parse(req.body)
+
+    const unknownUsers = await findUnknownUsers(rule)
+    if (unknownUsers.length > 0) {
+      return res.status(400).json({ error: "Unknown users in rule", userIds: unknownUsers })
+    }
+
+    const keys = Object.keys(ruleColumns)
+    const values = keys.map((key) => rule[key] ?? null)
+    values.push(req.params.id)
+
+    const result = await pool.query(
+      `
+      UPDATE assignment_rules 
+      SET ${keys.map((key, index) => `${ruleColumns[key]} = $${index + 1}`).join(", ")}
+      WHERE id = $${values.length}
+      RETURNING *
+    `,
+      values,
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Assignment rule not found" })
+    }
+
+    res.json({
+      message: "Assignment rule updated successfully",
+      rule: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update assignment rule error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/assignment-rules/:id - Delete a rule
+router.delete("/:id", async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM assignment_rules WHERE id = $1 RETURNING id", [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Assignment rule not found" })
+    }
+
+    res.json({ message: "Assignment rule deleted successfully" })
+  } catch (error) {
+    console.error("Delete assignment rule error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -1,9 +1,29 @@
 const express = require("express")
 const bcrypt = require("bcryptjs")
-const jwt = require("jsonwebtoken")
+const crypto = require("crypto")
 const { z } = require("zod")
 const pool = require("../config/database")
-const { authenticateToken } = require("../middleware/auth")
+const authConfig = require("../config/auth")
+const { PERMISSIONS, rolePermissions } = require("../config/permissions")
+const { authenticateToken, requireSession } = require("../middleware/auth")
+const {
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeAllSessions,
+} = require("../utils/tokens")
+const { sendMail } = require("../utils/mailer")
+const {
+  recordAuthEvent,
+  countIpFailures,
+  registerAccountFailure,
+  resetAccountFailures,
+  failureDelay,
+  sleep,
+} = require("../utils/loginProtection")
+
+const RESET_TOKEN_TTL_MINUTES = Number.parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60
 
 const router = express.Router()
 
@@ -16,14 +36,42 @@ const loginSchema = z.object({
 const registerSchema = z.object({
   email: z.string().email("Invalid email format"),
   password: z.string().min(6, "Password must be at least 6 characters"),
-  role: z.enum(["user", "admin"]).default("user"),
+  inviteToken: z.string().optional(),
+})
+
+const refreshTokenSchema = z.object({
+  refreshToken: z.string().min(1, "Refresh token is required"),
+})
+
+const changePasswordSchema = z.object({
+  currentPassword: z.string().min(1, "Current password is required"),
+  newPassword: z.string().min(6, "Password must be at least 6 characters"),
+})
+
+const forgotPasswordSchema = z.object({
+  email: z.string().email("Invalid email format"),
+})
+
+const createApiKeySchema = z.object({
+  name: z.string().min(2, "Name must be at least 2 characters").max(100, "Name must be less than 100 characters"),
+  scopes: z.array(z.enum(PERMISSIONS)).min(1, "At least one scope is required"),
+  expiresAt: z.string().datetime({ offset: true }).optional(),
+})
+
+const resetPasswordSchema = z.object({
+  token: z.string().min(1, "Reset token is required"),
+  newPassword: z.string().min(6, "Password must be at least 6 characters"),
 })
 
 // Register new user
 router.post("/register", async (req, res) => {
   try {
     const validatedData = registerSchema.parse(req.body)
-    const { email, password, role } = validatedData
+    const { email, password, inviteToken } = validatedData
+
+    if (!inviteToken && !authConfig.allowOpenRegistration) {
+      return res.status(403).json({ error: "Registration is by invitation only" })
+    }
 
     // Check if user already exists
     const existingUser = await pool.query("SELECT id FROM users WHERE email = $1", [email])
@@ -34,18 +82,54 @@ router.post("/register", async (req, res) => {
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10)
 
-    // Create user
-    const result = await pool.query(
-      "INSERT INTO users (email, password_hash, role) VALUES ($1, $2, $3) RETURNING id, email, role, created_at",
-      [email, hashedPassword, role],
-    )
+    const client = await pool.connect()
+    let user
 
-    const user = result.rows[0]
+    try {
+      await client.query("BEGIN")
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-    })
+      // Self-registered users are always agents; only an invite can grant another role
+      let role = "agent"
+
+      if (inviteToken) {
+        const inviteResult = await client.query(
+          `
+          SELECT id, email, role 
+          FROM user_invites 
+          WHERE token_hash = $1 AND accepted_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+          FOR UPDATE
+        `,
+          [hashToken(inviteToken)],
+        )
+
+        const invite = inviteResult.rows[0]
+        if (!invite || invite.email.toLowerCase() !== email.toLowerCase()) {
+          await client.query("ROLLBACK")
+          return res.status(400).json({ error: "Invitation is invalid or has expired" })
+        }
+
+        role = invite.role
+        await client.query("UPDATE user_invites SET accepted_at = CURRENT_TIMESTAMP WHERE id = $1", [invite.id])
+      }
+
+      // Create user
+      const result = await client.query(
+        "INSERT INTO users (email, password_hash, role) VALUES ($1, $2, $3) RETURNING id, email, role, created_at",
+        [email, hashedPassword, role],
+      )
+
+      user = result.rows[0]
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await issueSession(user, req)
 
     res.status(201).json({
       message: "User created successfully",
@@ -53,9 +137,11 @@ router.post("/register", async (req, res) => {
         id: user.id,
         email: user.email,
         role: user.role,
+        permissions: rolePermissions[user.role] || [],
         createdAt: user.created_at,
       },
       token,
+      refreshToken,
     })
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -75,25 +161,71 @@ router.post("/login", async (req, res) => {
     const validatedData = loginSchema.parse(req.body)
     const { email, password } = validatedData
 
+    // Block IPs with too many recent failures
+    const ipFailures = await countIpFailures(req.ip)
+    if (ipFailures >= authConfig.ipMaxFailures) {
+      await recordAuthEvent("login_blocked", req, { email, details: { reason: "ip" } })
+      res.setHeader("Retry-After", String(authConfig.ipWindowMinutes * 60))
+      return res.status(429).json({ error: "Too many failed login attempts. Please try again later." })
+    }
+
     // Find user
-    const result = await pool.query("SELECT id, email, password_hash, role FROM users WHERE email = $1", [email])
+    const result = await pool.query(
+      "SELECT id, email, password_hash, role, is_active, failed_login_count, locked_until FROM users WHERE email = $1",
+      [email],
+    )
 
     if (result.rows.length === 0) {
+      await recordAuthEvent("login_failure", req, { email, details: { reason: "unknown_email" } })
+      await sleep(failureDelay(ipFailures + 1))
       return res.status(401).json({ error: "Invalid email or password" })
     }
 
     const user = result.rows[0]
 
+    // Temporarily locked accounts are rejected before checking the password
+    if (user.locked_until && new Date(user.locked_until) > new Date()) {
+      await recordAuthEvent("login_blocked", req, { userId: user.id, email, details: { reason: "locked" } })
+      res.setHeader("Retry-After", String(Math.ceil((new Date(user.locked_until) - new Date()) / 1000)))
+      return res.status(423).json({
+        error: "Account temporarily locked due to too many failed login attempts",
+        lockedUntil: user.locked_until,
+      })
+    }
+
     // Verify password
     const isValidPassword = await bcrypt.compare(password, user.password_hash)
     if (!isValidPassword) {
+      const failure = await registerAccountFailure(user.id)
+      await recordAuthEvent("login_failure", req, {
+        userId: user.id,
+        email,
+        details: { reason: "bad_password", failedLoginCount: failure.failed_login_count },
+      })
+
+      if (failure.locked) {
+        await recordAuthEvent("lockout", req, {
+          userId: user.id,
+          email,
+          details: { lockedUntil: failure.locked_until },
+        })
+      }
+
+      await sleep(failureDelay(Math.max(failure.failed_login_count, ipFailures + 1)))
       return res.status(401).json({ error: "Invalid email or password" })
     }
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-    })
+    if (!user.is_active) {
+      return res.status(403).json({ error: "This account has been deactivated" })
+    }
+
+    if (user.failed_login_count > 0 || user.locked_until) {
+      await resetAccountFailures(user.id)
+    }
+    await recordAuthEvent("login_success", req, { userId: user.id, email })
+
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await issueSession(user, req)
 
     res.json({
       message: "Login successful",
@@ -101,8 +233,10 @@ router.post("/login", async (req, res) => {
         id: user.id,
         email: user.email,
         role: user.role,
+        permissions: rolePermissions[user.role] || [],
       },
       token,
+      refreshToken,
     })
   } catch (error) {
     if (error instanceof z.ZodError) {
@@ -116,6 +250,300 @@ router.post("/login", async (req, res) => {
   }
 })
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post("/refresh", async (req, res) => {
+  try {
+    const { refreshToken } = refreshTokenSchema.parse(req.body)
+
+    const result = await rotateRefreshToken(refreshToken, req)
+    if (result.error) {
+      return res.status(401).json({ error: result.error })
+    }
+
+    res.json({
+      message: "Token refreshed",
+      user: result.user,
+      token: result.token,
+      refreshToken: result.refreshToken,
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Refresh token error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Log out the session a refresh token belongs to
+router.post("/logout", async (req, res) => {
+  try {
+    const { refreshToken } = refreshTokenSchema.parse(req.body)
+
+    await revokeSessionByToken(refreshToken)
+
+    res.json({ message: "Logged out successfully" })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Logout error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Log out every session of the current user
+router.post("/logout-all", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user.id)
+
+    res.json({
+      message: "Logged out of all sessions",
+      revokedSessions,
+    })
+  } catch (error) {
+    console.error("Logout all error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Change password for the current user
+router.post("/change-password", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = changePasswordSchema.parse(req.body)
+
+    const result = await pool.query("SELECT password_hash FROM users WHERE id = $1", [req.user.id])
+
+    const isValidPassword = await bcrypt.compare(currentPassword, result.rows[0].password_hash)
+    if (!isValidPassword) {
+      return res.status(401).json({ error: "Current password is incorrect" })
+    }
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10)
+    await pool.query("UPDATE users SET password_hash = $1 WHERE id = $2", [hashedPassword, req.user.id])
+
+    // Sign out every other session; the current one stays logged in
+    await pool.query(
+      "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND family_id <> $2 AND revoked_at IS NULL",
+      [req.user.id, req.user.sessionId],
+    )
+
+    res.json({ message: "Password changed successfully" })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Change password error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Request a password reset link
+router.post("/forgot-password", async (req, res) => {
+  try {
+    const { email } = forgotPasswordSchema.parse(req.body)
+
+    // Same response whether or not the account exists
+    const response = { message: "If an account exists for this email, a reset link has been sent." }
+
+    const userResult = await pool.query("SELECT id, email FROM users WHERE email = $1", [email])
+    if (userResult.rows.length === 0) {
+      return res.json(response)
+    }
+
+    const user = userResult.rows[0]
+    const resetToken = crypto.randomBytes(32).toString("base64url")
+
+    // Only the latest link works
+    await pool.query("UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND used_at IS NULL", [
+      user.id,
+    ])
+    await pool.query(
+      `
+      INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+      VALUES ($1, $2, CURRENT_TIMESTAMP + make_interval(mins => $3))
+    `,
+      [user.id, hashToken(resetToken), RESET_TOKEN_TTL_MINUTES],
+    )
+
+    const resetUrl = `${process.env.FRONTEND_URL || "http://localhost:3000"}/reset-password?token=${resetToken}`
+
+    // A mail failure must not change the response, or it would reveal that
+    // the account exists
+    try {
+      await sendMail({
+        to: user.email,
+        subject: "Reset your password",
+        text: `Use the link below to reset your password. It expires in ${RESET_TOKEN_TTL_MINUTES} minutes and can only be used once.\n\n${resetUrl}\n\nIf you didn't request this, you can ignore this email.`,
+      })
+    } catch (error) {
+      console.error("Password reset email error:", error)
+    }
+
+    res.json(response)
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Forgot password error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Reset password with a token from the reset email
+router.post("/reset-password", async (req, res) => {
+  try {
+    const { token, newPassword } = resetPasswordSchema.parse(req.body)
+
+    const hashedPassword = await bcrypt.hash(newPassword, 10)
+    const client = await pool.connect()
+
+    try {
+      await client.query("BEGIN")
+
+      const tokenResult = await client.query(
+        `
+        SELECT id, user_id 
+        FROM password_reset_tokens 
+        WHERE token_hash = $1 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+        FOR UPDATE
+      `,
+        [hashToken(token)],
+      )
+
+      if (tokenResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        return res.status(400).json({ error: "Reset link is invalid or has expired" })
+      }
+
+      const resetToken = tokenResult.rows[0]
+
+      await client.query("UPDATE users SET password_hash = $1 WHERE id = $2", [hashedPassword, resetToken.user_id])
+      await client.query("UPDATE password_reset_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = $1", [resetToken.id])
+
+      // Whoever had the old password loses their sessions
+      await revokeAllSessions(resetToken.user_id, client)
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    res.json({ message: "Password reset successfully. Please log in with your new password." })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Reset password error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Create an API key for machine integrations. The raw key is only returned once.
+router.post("/api-keys", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = createApiKeySchema.parse(req.body)
+
+    // Keys can't grant more than their owner has
+    const allowed = rolePermissions[req.user.role] || []
+    const disallowedScopes = scopes.filter((scope) => !allowed.includes(scope))
+    if (disallowedScopes.length > 0) {
+      return res.status(400).json({ error: "Your role does not grant these scopes", scopes: disallowedScopes })
+    }
+
+    const keyPrefix = `bl_${crypto.randomBytes(4).toString("hex")}`
+    const apiKey = `${keyPrefix}_${crypto.randomBytes(32).toString("base64url")}`
+
+    const result = await pool.query(
+      `
+      INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, name, key_prefix, scopes, expires_at, created_at
+    `,
+      [req.user.id, name, keyPrefix, hashToken(apiKey), [...new Set(scopes)], expiresAt || null],
+    )
+
+    res.status(201).json({
+      message: "API key created. Store it now; it won't be shown again.",
+      apiKey: {
+        ...result.rows[0],
+        key: apiKey,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create API key error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// List the current user's API keys
+router.get("/api-keys", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT id, name, key_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+      FROM api_keys
+      WHERE user_id = $1
+      ORDER BY created_at DESC
+    `,
+      [req.user.id],
+    )
+
+    res.json({ apiKeys: result.rows })
+  } catch (error) {
+    console.error("List API keys error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Revoke one of the current user's API keys
+router.delete("/api-keys/:id", authenticateToken, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      UPDATE api_keys 
+      SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP) 
+      WHERE id = $1 AND user_id = $2 
+      RETURNING id
+    `,
+      [req.params.id, req.user.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "API key not found" })
+    }
+
+    res.json({ message: "API key revoked" })
+  } catch (error) {
+    console.error("Revoke API key error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
 // Get current user profile
 router.get("/me", authenticateToken, async (req, res) => {
   try {
@@ -125,7 +553,14 @@ router.get("/me", authenticateToken, async (req, res) => {
       return res.status(404).json({ error: "User not found" })
     }
 
-    res.json({ user: result.rows[0] })
+    const user = result.rows[0]
+
+    res.json({
+      user: {
+        ...user,
+        permissions: rolePermissions[user.role] || [],
+      },
+    })
   } catch (error) {
     console.error("Get profile error:", error)
     res.status(500).json({ error: "Internal server error" })
@@ -135,7 +570,11 @@ router.get("/me", authenticateToken, async (req, res) => {
 // Demo login (for testing)
 router.post("/demo-login", async (req, res) => {
   try {
-    const { role = "user" } = req.body
+    if (!authConfig.demoLoginEnabled) {
+      return res.status(404).json({ error: "Demo login is disabled" })
+    }
+
+    const { role = "agent" } = req.body
 
     const email = role === "admin" ? "admin@example.com" : "demo@example.com"
 
@@ -147,10 +586,8 @@ router.post("/demo-login", async (req, res) => {
 
     const user = result.rows[0]
 
-    // Generate JWT token
-    const token = jwt.sign({ userId: user.id, email: user.email, role: user.role }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-    })
+    // Start a session: short-lived access token plus rotating refresh token
+    const { token, refreshToken } = await issueSession(user, req)
 
     res.json({
       message: "Demo login successful",
@@ -158,8 +595,10 @@ router.post("/demo-login", async (req, res) => {
         id: user.id,
         email: user.email,
         role: user.role,
+        permissions: rolePermissions[user.role] || [],
       },
       token,
+      refreshToken,
     })
   } catch (error) {
     console.error("Demo login error:", error)
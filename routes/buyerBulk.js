@@ -0,0 +1,226 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { bulkActionSchema } = require("../utils/validation")
+const { recordHistory } = require("../utils/history")
+const { checkOwnership, canAssignTo, hasPermission, ownershipCondition } = require("../middleware/auth")
+const { checkStatusTransition } = require("../utils/statusPipeline")
+const { buildFilterConditions } = require("../utils/buyerFilters")
+
+// Mounted under /api/buyers/bulk
+const router = express.Router()
+
+// Upper bound on buyers touched by a single bulk request
+const BULK_MAX_ROWS = 1000
+
+// Permission needed for each operation on top of buyers.bulk
+const operationPermissions = {
+  status: "buyers.update",
+  addTags: "buyers.update",
+  removeTags: "buyers.update",
+  reassign: "buyers.reassign",
+  delete: "buyers.delete",
+}
+
+// Work out the column updates and history changes for one buyer. Returns
+// { error } for rows the operation cannot be applied to.
+function planOperation(operation, buyer) {
+  switch (operation.type) {
+    case "status": {
+      const transitionError = checkStatusTransition(buyer.status, operation.status, operation.reason)
+      if (transitionError) {
+        return { error: transitionError }
+      }
+      if (buyer.status === operation.status) {
+        return { updates: {}, changes: {} }
+      }
+      const change = { from: buyer.status, to: operation.status }
+      if (operation.reason) change.reason = operation.reason
+      return { updates: { status: operation.status }, changes: { status: change } }
+    }
+    case "addTags":
+    case "removeTags": {
+      const currentTags = buyer.tags || []
+      const tags =
+        operation.type === "addTags"
+          ? [...new Set([...currentTags, ...operation.tags])]
+          : currentTags.filter((tag) => !operation.tags.includes(tag))
+      if (tags.length === currentTags.length) {
+        return { updates: {}, changes: {} }
+      }
+      return { updates: { tags }, changes: { tags: { from: currentTags, to: tags } } }
+    }
+    case "reassign": {
+      if (buyer.owner_id === operation.ownerId) {
+        return { updates: {}, changes: {} }
+      }
+      return {
+        updates: { owner_id: operation.ownerId },
+        changes: { ownerId: { from: buyer.owner_id, to: operation.ownerId } },
+        action: "reassigned",
+      }
+    }
+    default:
+      return { updates: {}, changes: {} }
+  }
+}
+
+// POST /api/buyers/bulk - Apply one operation to many buyers in a single transaction
+router.post("/", async (req, res) => {
+  try {
+    const { ids, filters, operation } = bulkActionSchema.parse(req.body)
+
+    const requiredPermission = operationPermissions[operation.type]
+    if (!hasPermission(req.user, requiredPermission)) {
+      return res.status(403).json({ error: "Permission denied", missingPermissions: [requiredPermission] })
+    }
+
+    if (operation.type === "reassign") {
+      if (!canAssignTo(req, operation.ownerId)) {
+        return res.status(403).json({ error: "Access denied. You can only assign buyers to members of your team." })
+      }
+
+      const ownerResult = await pool.query("SELECT id FROM users WHERE id = $1 AND is_active = TRUE", [
+        operation.ownerId,
+      ])
+      if (ownerResult.rows.length === 0) {
+        return res.status(400).json({ error: "New owner not found or inactive" })
+      }
+    }
+
+    const client = await pool.connect()
+    const results = []
+
+    try {
+      await client.query("BEGIN")
+
+      // Lock the target rows. Buyers the caller can't view are left out, so
+      // they read as not found and don't count toward the limit.
+      let query = "SELECT b.* FROM buyers b WHERE b.deleted_at IS NULL"
+      const queryParams = []
+      query += ownershipCondition(req, queryParams)
+
+      if (ids) {
+        queryParams.push(ids)
+        query += ` AND b.id = ANY($${queryParams.length}::uuid[])`
+      } else {
+        query += buildFilterConditions(filters, queryParams)
+      }
+
+      queryParams.push(BULK_MAX_ROWS + 1)
+      query += ` ORDER BY b.updated_at DESC LIMIT $${queryParams.length} FOR UPDATE OF b`
+
+      const buyersResult = await client.query(query, queryParams)
+
+      if (buyersResult.rows.length > BULK_MAX_ROWS) {
+        await client.query("ROLLBACK")
+        return res.status(422).json({
+          error: `Bulk actions are limited to ${BULK_MAX_ROWS} buyers. Narrow the filters and try again.`,
+        })
+      }
+
+      if (ids) {
+        const foundIds = new Set(buyersResult.rows.map((row) => row.id))
+        for (const id of ids) {
+          if (!foundIds.has(id)) {
+            results.push({ id, result: "not_found" })
+          }
+        }
+      }
+
+      for (const buyer of buyersResult.rows) {
+        if (!checkOwnership(req, buyer.owner_id)) {
+          results.push({ id: buyer.id, result: "forbidden" })
+          continue
+        }
+
+        // Each row runs in its own savepoint so one failure doesn't undo the rest
+        await client.query("SAVEPOINT bulk_row")
+
+        try {
+          if (operation.type === "delete") {
+            await client.query(
+              "UPDATE buyers SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = $2",
+              [req.user.id, buyer.id],
+            )
+            await recordHistory(buyer.id, req.user.id, { action: "deleted", bulk: true }, client)
+            await client.query("RELEASE SAVEPOINT bulk_row")
+            results.push({ id: buyer.id, result: "deleted" })
+            continue
+          }
+
+          const plan = planOperation(operation, buyer)
+
+          if (plan.error) {
+            await client.query("RELEASE SAVEPOINT bulk_row")
+            results.push({ id: buyer.id, result: "rejected", ...plan.error })
+            continue
+          }
+
+          const columns = Object.keys(plan.updates)
+          if (columns.length === 0) {
+            await client.query("RELEASE SAVEPOINT bulk_row")
+            results.push({ id: buyer.id, result: "unchanged" })
+            continue
+          }
+
+          const updateValues = columns.map((column) => plan.updates[column])
+          updateValues.push(buyer.id)
+
+          await client.query(
+            `
+            UPDATE buyers 
+            SET ${columns.map((column, index) => `${column} = $${index + 1}`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+            WHERE id = $${updateValues.length}
+          `,
+            updateValues,
+          )
+
+          await recordHistory(
+            buyer.id,
+            req.user.id,
+            { action: plan.action || "updated", bulk: true, changes: plan.changes },
+            client,
+          )
+
+          await client.query("RELEASE SAVEPOINT bulk_row")
+          results.push({ id: buyer.id, result: "updated", changes: plan.changes })
+        } catch (error) {
+          await client.query("ROLLBACK TO SAVEPOINT bulk_row")
+          console.error("Bulk action row error:", error)
+          results.push({ id: buyer.id, result: "failed", error: "Could not apply operation to this buyer" })
+        }
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    const summary = results.reduce((counts, { result }) => {
+      counts[result] = (counts[result] || 0) + 1
+      return counts
+    }, {})
+
+    res.json({
+      message: `Bulk ${operation.type} applied to ${(summary.updated || 0) + (summary.deleted || 0)} buyers`,
+      operation: operation.type,
+      summary,
+      results,
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Bulk action error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
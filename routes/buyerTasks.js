@@ -0,0 +1,224 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { taskSchema, updateTaskSchema } = require("../utils/validation")
+const { recordHistory } = require("../utils/history")
+const { checkOwnership, requirePermission } = require("../middleware/auth")
+
+// Mounted under /api/buyers/:id/tasks
+const router = express.Router({ mergeParams: true })
+
+// Load the parent buyer and make sure the caller may work on it
+async function loadBuyer(req, res, access = "edit") {
+  const result = await pool.query(
+    "SELECT id, owner_id FROM buyers WHERE id = $1 AND deleted_at IS NULL",
+    [req.params.id],
+  )
+  if (result.rows.length === 0) {
+    res.status(404).json({ error: "Buyer not found" })
+    return null
+  }
+
+  const buyer = result.rows[0]
+  if (!checkOwnership(req, buyer.owner_id, access)) {
+    res.status(403).json({ error: "Access denied. You can only manage tasks for your own buyers." })
+    return null
+  }
+
+  return buyer
+}
+
+// GET /api/buyers/:id/tasks - List tasks for a buyer
+router.get("/", requirePermission("buyers.read"), async (req, res) => {
+  try {
+    const buyer = await loadBuyer(req, res, "view")
+    if (!buyer) return
+
+    const result = await pool.query(
+      `
+      SELECT 
+        t.*,
+        u.email as owner_email
+      FROM buyer_tasks t
+      JOIN users u ON t.owner_id = u.id
+      WHERE t.buyer_id = $1
+      ORDER BY t.completed_at IS NOT NULL, t.due_at ASC
+    `,
+      [buyer.id],
+    )
+
+    res.json({ tasks: result.rows })
+  } catch (error) {
+    console.error("Get tasks error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/buyers/:id/tasks - Create a follow-up task
+router.post("/", requirePermission("buyers.update"), async (req, res) => {
+  try {
+    const validatedData = taskSchema.parse(req.body)
+
+    const buyer = await loadBuyer(req, res)
+    if (!buyer) return
+
+    const { title, notes, dueAt } = validatedData
+
+    const result = await pool.query(
+      `
+      INSERT INTO buyer_tasks (buyer_id, owner_id, title, notes, due_at)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `,
+      [buyer.id, req.user.id, title, notes || null, dueAt],
+    )
+
+    const task = result.rows[0]
+
+    await recordHistory(buyer.id, req.user.id, {
+      action: "task_created",
+      task: { id: task.id, title: task.title, dueAt: task.due_at },
+    })
+
+    res.status(201).json({
+      message: "Task created successfully",
+      task,
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create task error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/buyers/:id/tasks/:taskId - Update, reschedule or complete a task
+router.put("/:taskId", requirePermission("buyers.update"), async (req, res) => {
+  try {
+    const validatedData = updateTaskSchema.parse(req.body)
+
+    const buyer = await loadBuyer(req, res)
+    if (!buyer) return
+
+    const currentResult = await pool.query("SELECT * FROM buyer_tasks WHERE id = $1 AND buyer_id = $2", [
+      req.params.taskId,
+      buyer.id,
+    ])
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    const currentTask = currentResult.rows[0]
+
+    const updateFields = []
+    const updateValues = []
+    let paramCount = 0
+
+    const changes = {}
+
+    if (validatedData.title !== undefined) {
+      paramCount++
+      updateFields.push(`title = $${paramCount}`)
+      updateValues.push(validatedData.title)
+    }
+
+    if (validatedData.notes !== undefined) {
+      paramCount++
+      updateFields.push(`notes = $${paramCount}`)
+      updateValues.push(validatedData.notes === "" ? null : validatedData.notes)
+    }
+
+    if (validatedData.dueAt !== undefined) {
+      paramCount++
+      updateFields.push(`due_at = $${paramCount}`)
+      updateValues.push(validatedData.dueAt)
+
+      if (new Date(validatedData.dueAt).getTime() !== new Date(currentTask.due_at).getTime()) {
+        changes.dueAt = { from: currentTask.due_at, to: validatedData.dueAt }
+      }
+    }
+
+    if (validatedData.completed !== undefined) {
+      const isCompleted = currentTask.completed_at !== null
+
+      if (validatedData.completed && !isCompleted) {
+        updateFields.push("completed_at = CURRENT_TIMESTAMP")
+        paramCount++
+        updateFields.push(`completed_by = $${paramCount}`)
+        updateValues.push(req.user.id)
+        changes.completed = { from: false, to: true }
+      } else if (!validatedData.completed && isCompleted) {
+        updateFields.push("completed_at = NULL", "completed_by = NULL")
+        changes.completed = { from: true, to: false }
+      }
+    }
+
+    if (updateFields.length === 0) {
+      return res.status(400).json({ error: "No valid fields to update" })
+    }
+
+    paramCount++
+    updateValues.push(currentTask.id)
+
+    const result = await pool.query(
+      `
+      UPDATE buyer_tasks 
+      SET ${updateFields.join(", ")}
+      WHERE id = $${paramCount}
+      RETURNING *
+    `,
+      updateValues,
+    )
+    const task = result.rows[0]
+
+    // Completing or rescheduling a task is part of the buyer's audit trail
+    if (Object.keys(changes).length > 0) {
+      await recordHistory(buyer.id, req.user.id, {
+        action: changes.completed?.to ? "task_completed" : changes.dueAt ? "task_rescheduled" : "task_reopened",
+        task: { id: task.id, title: task.title },
+        changes,
+      })
+    }
+
+    res.json({
+      message: "Task updated successfully",
+      task,
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update task error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/buyers/:id/tasks/:taskId - Delete a task
+router.delete("/:taskId", requirePermission("buyers.update"), async (req, res) => {
+  try {
+    const buyer = await loadBuyer(req, res)
+    if (!buyer) return
+
+    const result = await pool.query("DELETE FROM buyer_tasks WHERE id = $1 AND buyer_id = $2 RETURNING id", [
+      req.params.taskId,
+      buyer.id,
+    ])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Task not found" })
+    }
+
+    res.json({ message: "Task deleted successfully" })
+  } catch (error) {
+    console.error("Delete task error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
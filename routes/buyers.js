@@ -1,45 +1,68 @@
 const express = require("express")
 const multer = require("multer")
-const csv = require("csv-parser")
-const createCsvWriter = require("csv-writer").createObjectCsvWriter
 const fs = require("fs")
 const path = require("path")
-const { Readable } = require("stream")
 const pool = require("../config/database")
-const { buyerSchema, updateBuyerSchema, csvRowSchema, filtersSchema } = require("../utils/validation")
+const importConfig = require("../config/imports")
+const {
+  buyerSchema,
+  updateBuyerSchema,
+  filtersSchema,
+  importOptionsSchema,
+  exportOptionsSchema,
+  trashQuerySchema,
+  trashPurgeSchema,
+  historyQuerySchema,
+  mergeBuyerSchema,
+  revertBuyerSchema,
+  reassignBuyerSchema,
+} = require("../utils/validation")
+const { recordHistory, encodeCursor, decodeCursor, replayHistory } = require("../utils/history")
+const { checkOwnership, ownershipCondition, canAssignTo, requirePermission } = require("../middleware/auth")
+const { checkStatusTransition } = require("../utils/statusPipeline")
+const { buildFilterConditions, buildOrderBy } = require("../utils/buyerFilters")
+const { assignOwner } = require("../utils/assignment")
+const { findDuplicateCandidates, scopeDuplicates } = require("../utils/duplicates")
+const { notifyBuyerEvent } = require("../utils/realtime")
+const { enqueueWebhookEvents } = require("../utils/webhooks")
+const { fieldMapping, toBuyerFields, isSameValue } = require("../utils/buyerFields")
+const { applySavedView } = require("../utils/savedViews")
+const { processImportQueue, createImportContext, evaluateImportRow, readImportSample } = require("../utils/importJobs")
+const { REQUIRED_FIELDS, suggestMapping, mapImportRow } = require("../utils/importMapping")
+const { FILE_FORMATS, formatForFile, formatForRequest } = require("../utils/fileFormats")
+const { streamBuyerExport } = require("../utils/buyerExport")
+const buyerTaskRoutes = require("./buyerTasks")
+const buyerBulkRoutes = require("./buyerBulk")
 const z = require("zod") // Import zod to fix the undeclared variable error
 
 const router = express.Router()
 
-// Configure multer for CSV uploads
+// Rows of the uploaded file checked by an import preview
+const PREVIEW_ROWS = 20
+
+// Configure multer for import uploads (CSV, XLSX, JSON or NDJSON). Files go
+// to disk so large imports never sit in memory; the import job deletes them
+// when it finishes.
 const upload = multer({
-  storage: multer.memoryStorage(),
-  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  dest: importConfig.storageDir,
+  limits: { fileSize: importConfig.maxFileSizeMb * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    if (file.mimetype === "text/csv" || file.originalname.endsWith(".csv")) {
+    if (formatForFile(file) || req.query.format) {
       cb(null, true)
     } else {
-      cb(new Error("Only CSV files are allowed"))
+      cb(new Error("Only CSV, XLSX, JSON and NDJSON files are allowed"))
     }
   },
 })
 
-// Helper function to record history
-async function recordHistory(buyerId, changedBy, diff) {
-  await pool.query("INSERT INTO buyer_history (buyer_id, changed_by, diff) VALUES ($1, $2, $3)", [
-    buyerId,
-    changedBy,
-    JSON.stringify(diff),
-  ])
-}
+// Follow-up tasks for a buyer
+router.use("/:id/tasks", buyerTaskRoutes)
 
-// Helper function to check ownership
-function checkOwnership(req, buyerOwnerId) {
-  return req.user.role === "admin" || req.user.id === buyerOwnerId
-}
+// Bulk actions
+router.use("/bulk", requirePermission("buyers.bulk"), buyerBulkRoutes)
 
 // POST /api/buyers - Create new buyer
-router.post("/", async (req, res) => {
+router.post("/", requirePermission("buyers.create"), async (req, res) => {
   try {
     const validatedData = buyerSchema.parse(req.body)
 
@@ -60,6 +83,28 @@ router.post("/", async (req, res) => {
       tags,
     } = validatedData
 
+    const transitionError = checkStatusTransition(null, status)
+    if (transitionError) {
+      return res.status(422).json(transitionError)
+    }
+
+    // Surface likely duplicates unless the caller explicitly accepts them
+    if (req.query.allowDuplicates !== "true") {
+      const candidates = await findDuplicateCandidates(validatedData)
+      if (candidates.length > 0) {
+        // Buyers the caller can't view are only counted
+        const { duplicates, hiddenCount } = scopeDuplicates(req, candidates)
+        return res.status(409).json({
+          error: "Possible duplicate leads found. Merge them or retry with allowDuplicates=true.",
+          duplicates,
+          hiddenCount,
+        })
+      }
+    }
+
+    // Route the lead through the assignment rules
+    const assignment = await assignOwner(validatedData, req.user.id)
+
     const result = await pool.query(
       `
       INSERT INTO buyers (
@@ -83,7 +128,7 @@ router.post("/", async (req, res) => {
         status || "New",
         notes || null,
         tags || [],
-        req.user.id,
+        assignment ? assignment.ownerId : req.user.id,
       ],
     )
 
@@ -93,6 +138,7 @@ router.post("/", async (req, res) => {
     await recordHistory(buyer.id, req.user.id, {
       action: "created",
       data: validatedData,
+      ...(assignment && { assignment: { ...assignment.rule, ownerId: assignment.ownerId } }),
     })
 
     res.status(201).json({
@@ -112,13 +158,13 @@ router.post("/", async (req, res) => {
 })
 
 // PUT /api/buyers/:id - Update buyer
-router.put("/:id", async (req, res) => {
+router.put("/:id", requirePermission("buyers.update"), async (req, res) => {
   try {
     const { id } = req.params
     const validatedData = updateBuyerSchema.parse(req.body)
 
     // Get current buyer to check ownership and concurrency
-    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1", [id])
+    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NULL", [id])
     if (currentResult.rows.length === 0) {
       return res.status(404).json({ error: "Buyer not found" })
     }
@@ -143,28 +189,21 @@ router.put("/:id", async (req, res) => {
       }
     }
 
+    // Enforce the status pipeline
+    const transitionError = checkStatusTransition(
+      currentBuyer.status,
+      validatedData.status,
+      validatedData.statusReason,
+    )
+    if (transitionError) {
+      return res.status(422).json(transitionError)
+    }
+
     // Build update query dynamically
     const updateFields = []
     const updateValues = []
     let paramCount = 0
 
-    const fieldMapping = {
-      fullName: "full_name",
-      email: "email",
-      phone: "phone",
-      city: "city",
-      propertyType: "property_type",
-      bhk: "bhk",
-      purpose: "purpose",
-      budgetMin: "budget_min",
-      budgetMax: "budget_max",
-      timeline: "timeline",
-      source: "source",
-      status: "status",
-      notes: "notes",
-      tags: "tags",
-    }
-
     const changes = {}
 
     for (const [key, value] of Object.entries(validatedData)) {
@@ -190,6 +229,10 @@ router.put("/:id", async (req, res) => {
       return res.status(400).json({ error: "No valid fields to update" })
     }
 
+    if (changes.status && validatedData.statusReason) {
+      changes.status.reason = validatedData.statusReason
+    }
+
     // Add WHERE clause parameter
     paramCount++
     updateValues.push(id)
@@ -228,13 +271,247 @@ router.put("/:id", async (req, res) => {
   }
 })
 
+// PUT /api/buyers/:id/owner - Reassign a buyer to another user
+router.put("/:id/owner", requirePermission("buyers.reassign"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { ownerId, updatedAt } = reassignBuyerSchema.parse(req.body)
+
+    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NULL", [id])
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Buyer not found" })
+    }
+
+    const currentBuyer = currentResult.rows[0]
+
+    if (!checkOwnership(req, currentBuyer.owner_id)) {
+      return res.status(403).json({ error: "Access denied. You can only reassign your own buyers." })
+    }
+
+    if (!canAssignTo(req, ownerId)) {
+      return res.status(403).json({ error: "Access denied. You can only assign buyers to members of your team." })
+    }
+
+    // Check concurrency (if updatedAt is provided)
+    if (updatedAt && new Date(updatedAt).getTime() !== new Date(currentBuyer.updated_at).getTime()) {
+      return res.status(409).json({
+        error: "Record has been modified by another user. Please refresh and try again.",
+        currentUpdatedAt: currentBuyer.updated_at,
+      })
+    }
+
+    const ownerResult = await pool.query("SELECT id, email FROM users WHERE id = $1 AND is_active = TRUE", [ownerId])
+    if (ownerResult.rows.length === 0) {
+      return res.status(400).json({ error: "New owner not found or inactive" })
+    }
+
+    if (currentBuyer.owner_id === ownerId) {
+      return res.status(400).json({ error: "Buyer is already owned by this user" })
+    }
+
+    const result = await pool.query(
+      "UPDATE buyers SET owner_id = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *",
+      [ownerId, id],
+    )
+
+    await recordHistory(id, req.user.id, {
+      action: "reassigned",
+      changes: {
+        ownerId: { from: currentBuyer.owner_id, to: ownerId },
+      },
+    })
+
+    res.json({
+      message: `Buyer reassigned to ${ownerResult.rows[0].email}`,
+      buyer: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Reassign buyer error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/buyers/trash - List soft-deleted buyers
+router.get("/trash", requirePermission("buyers.read"), async (req, res) => {
+  try {
+    const { page, limit } = trashQuerySchema.parse(req.query)
+    const pageNumber = page || 1
+    const pageSize = limit || 10
+
+    let query = `
+      SELECT 
+        b.*,
+        u.email as owner_email,
+        d.email as deleted_by_email,
+        COUNT(*) OVER() as total_count
+      FROM buyers b
+      JOIN users u ON b.owner_id = u.id
+      LEFT JOIN users d ON b.deleted_by = d.id
+      WHERE b.deleted_at IS NOT NULL
+    `
+
+    // Users only see deleted buyers they could see before deletion
+    const queryParams = []
+    query += ownershipCondition(req, queryParams)
+
+    queryParams.push(pageSize)
+    query += ` ORDER BY b.deleted_at DESC LIMIT $${queryParams.length}`
+
+    queryParams.push((pageNumber - 1) * pageSize)
+    query += ` OFFSET $${queryParams.length}`
+
+    const result = await pool.query(query, queryParams)
+
+    const totalCount = result.rows.length > 0 ? Number.parseInt(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(totalCount / pageSize)
+
+    const buyers = result.rows.map((row) => {
+      const { total_count, ...buyer } = row
+      return buyer
+    })
+
+    res.json({
+      buyers,
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalCount,
+        totalPages,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get trash error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/buyers/trash - Permanently delete buyers trashed longer than the retention window
+router.delete("/trash", requirePermission("buyers.purge"), async (req, res) => {
+  try {
+    const { olderThanDays } = trashPurgeSchema.parse(req.query)
+
+    const client = await pool.connect()
+    let result
+
+    try {
+      await client.query("BEGIN")
+
+      // The buyers' history goes with them, so each purge is logged separately
+      result = await client.query(
+        `
+        WITH purged AS (
+          DELETE FROM buyers 
+          WHERE deleted_at IS NOT NULL 
+            AND deleted_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+          RETURNING id, owner_id, deleted_at, deleted_by
+        )
+        INSERT INTO buyer_purges (buyer_id, owner_id, deleted_at, deleted_by, purged_by)
+        SELECT id, owner_id, deleted_at, deleted_by, $2 FROM purged
+        RETURNING *
+      `,
+        [olderThanDays, req.user.id],
+      )
+
+      for (const purge of result.rows) {
+        await enqueueWebhookEvents(
+          {
+            id: purge.id,
+            buyer_id: purge.buyer_id,
+            changed_by: purge.purged_by,
+            changed_at: purge.purged_at,
+            diff: { action: "purged", deletedAt: purge.deleted_at },
+          },
+          client,
+        )
+        await notifyBuyerEvent(
+          {
+            event: "buyer.purged",
+            buyerId: purge.buyer_id,
+            ownerId: purge.owner_id,
+            changedBy: purge.purged_by,
+            action: "purged",
+          },
+          client,
+        )
+      }
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+
+    res.json({
+      message: `Permanently deleted ${result.rows.length} buyers`,
+      purgedCount: result.rows.length,
+      olderThanDays,
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Purge trash error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/buyers/:id/restore - Restore a buyer from the trash
+router.post("/:id/restore", requirePermission("buyers.delete"), async (req, res) => {
+  try {
+    const { id } = req.params
+
+    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NOT NULL", [id])
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Buyer not found in trash" })
+    }
+
+    if (!checkOwnership(req, currentResult.rows[0].owner_id)) {
+      return res.status(403).json({ error: "Access denied. You can only restore your own buyers." })
+    }
+
+    const result = await pool.query(
+      "UPDATE buyers SET deleted_at = NULL, deleted_by = NULL WHERE id = $1 RETURNING *",
+      [id],
+    )
+
+    await recordHistory(id, req.user.id, { action: "restored" })
+
+    res.json({
+      message: "Buyer restored successfully",
+      buyer: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Restore buyer error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
 // DELETE /api/buyers/:id - Delete buyer
-router.delete("/:id", async (req, res) => {
+router.delete("/:id", requirePermission("buyers.delete"), async (req, res) => {
   try {
     const { id } = req.params
 
     // Get current buyer to check ownership
-    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1", [id])
+    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NULL", [id])
     if (currentResult.rows.length === 0) {
       return res.status(404).json({ error: "Buyer not found" })
     }
@@ -246,304 +523,579 @@ router.delete("/:id", async (req, res) => {
       return res.status(403).json({ error: "Access denied. You can only delete your own buyers." })
     }
 
-    // Delete buyer (history will be cascade deleted)
-    await pool.query("DELETE FROM buyers WHERE id = $1", [id])
+    // Soft delete so the buyer and its history can be restored from the trash
+    await pool.query("UPDATE buyers SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = $2", [
+      req.user.id,
+      id,
+    ])
+
+    await recordHistory(id, req.user.id, { action: "deleted" })
 
-    res.json({ message: "Buyer deleted successfully" })
+    res.json({ message: "Buyer moved to trash" })
   } catch (error) {
     console.error("Delete buyer error:", error)
     res.status(500).json({ error: "Internal server error" })
   }
 })
 
-// POST /api/buyers/import - CSV Import
-router.post("/import", upload.single("csvFile"), async (req, res) => {
+// GET /api/buyers/:id/duplicates - Find likely duplicates of a buyer
+router.get("/:id/duplicates", requirePermission("buyers.read"), async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "CSV file is required" })
+    const { id } = req.params
+
+    const currentResult = await pool.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NULL", [id])
+    if (currentResult.rows.length === 0) {
+      return res.status(404).json({ error: "Buyer not found" })
     }
 
-    const csvData = req.file.buffer.toString("utf8")
-    const rows = []
-    const errors = []
+    const buyer = currentResult.rows[0]
 
-    // Parse CSV
-    const stream = Readable.from([csvData])
+    if (!checkOwnership(req, buyer.owner_id, "view")) {
+      return res.status(403).json({ error: "Access denied. You can only view your own buyers." })
+    }
 
-    await new Promise((resolve, reject) => {
-      stream
-        .pipe(csv())
-        .on("data", (row) => {
-          rows.push(row)
-        })
-        .on("end", resolve)
-        .on("error", reject)
-    })
+    const candidates = await findDuplicateCandidates(
+      { fullName: buyer.full_name, email: buyer.email, phone: buyer.phone, city: buyer.city },
+      { excludeId: buyer.id },
+    )
 
-    if (rows.length === 0) {
-      return res.status(400).json({ error: "CSV file is empty" })
-    }
+    res.json(scopeDuplicates(req, candidates))
+  } catch (error) {
+    console.error("Find duplicates error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/buyers/:id/merge - Merge a duplicate buyer into this one
+router.post("/:id/merge", requirePermission("buyers.update", "buyers.delete"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { duplicateId } = mergeBuyerSchema.parse(req.body)
 
-    if (rows.length > 200) {
-      return res.status(400).json({ error: "CSV file cannot contain more than 200 rows" })
+    if (duplicateId === id) {
+      return res.status(400).json({ error: "A buyer cannot be merged into itself" })
     }
 
-    // Validate each row
-    const validRows = []
+    const client = await pool.connect()
 
-    rows.forEach((row, index) => {
-      try {
-        // Convert string values to appropriate types
-        const processedRow = {
-          ...row,
-          budgetMin: row.budgetMin ? Number.parseInt(row.budgetMin) : undefined,
-          budgetMax: row.budgetMax ? Number.parseInt(row.budgetMax) : undefined,
-          tags: row.tags || "",
-        }
+    try {
+      await client.query("BEGIN")
 
-        const validatedRow = csvRowSchema.parse(processedRow)
-        validRows.push(validatedRow)
-      } catch (error) {
-        if (error instanceof z.ZodError) {
-          errors.push({
-            row: index + 1,
-            errors: error.errors?.map((e) => `${e.path.join(".")}: ${e.message}`),
-          })
-        } else {
-          errors.push({
-            row: index + 1,
-            errors: [error.message],
-          })
+      // Lock both rows so concurrent edits can't interleave with the merge
+      const buyersResult = await client.query("SELECT * FROM buyers WHERE id = ANY($1::uuid[]) AND deleted_at IS NULL FOR UPDATE", [
+        [id, duplicateId],
+      ])
+      const survivor = buyersResult.rows.find((row) => row.id === id)
+      const duplicate = buyersResult.rows.find((row) => row.id === duplicateId)
+
+      if (!survivor || !duplicate) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ error: "Buyer not found" })
+      }
+
+      if (!checkOwnership(req, survivor.owner_id) || !checkOwnership(req, duplicate.owner_id)) {
+        await client.query("ROLLBACK")
+        return res.status(403).json({ error: "Access denied. You can only merge your own buyers." })
+      }
+
+      const changes = {}
+
+      // Combine tags
+      const mergedTags = [...new Set([...(survivor.tags || []), ...(duplicate.tags || [])])]
+      if (mergedTags.length !== (survivor.tags || []).length) {
+        changes.tags = { from: survivor.tags, to: mergedTags }
+      }
+
+      // Combine notes, keeping within the 1000 character limit
+      if (duplicate.notes && duplicate.notes !== survivor.notes) {
+        const mergedNotes = [survivor.notes, duplicate.notes].filter(Boolean).join("\n---\n").slice(0, 1000)
+        changes.notes = { from: survivor.notes, to: mergedNotes }
+      }
+
+      // Fill in fields the survivor is missing
+      const fillableFields = { email: "email", bhk: "bhk", budgetMin: "budget_min", budgetMax: "budget_max" }
+      for (const [key, dbField] of Object.entries(fillableFields)) {
+        if (survivor[dbField] === null && duplicate[dbField] !== null) {
+          changes[key] = { from: null, to: duplicate[dbField] }
         }
       }
-    })
 
-    // If there are validation errors, return them
-    if (errors.length > 0) {
+      // A filled budget must still satisfy budget_check
+      const budgetMin = changes.budgetMin ? changes.budgetMin.to : survivor.budget_min
+      const budgetMax = changes.budgetMax ? changes.budgetMax.to : survivor.budget_max
+      if (budgetMin !== null && budgetMax !== null && budgetMax < budgetMin) {
+        delete changes.budgetMin
+        delete changes.budgetMax
+      }
+
+      const updateFields = []
+      const updateValues = []
+      let paramCount = 0
+
+      for (const [key, change] of Object.entries(changes)) {
+        paramCount++
+        updateFields.push(`${fieldMapping[key]} = $${paramCount}`)
+        updateValues.push(change.to)
+      }
+
+      paramCount++
+      updateValues.push(id)
+
+      const result = await client.query(
+        `
+        UPDATE buyers 
+        SET ${[...updateFields, "updated_at = CURRENT_TIMESTAMP"].join(", ")}
+        WHERE id = $${paramCount}
+        RETURNING *
+      `,
+        updateValues,
+      )
+
+      // Move the duplicate's audit trail and tasks over to the survivor
+      await client.query(
+        `
+        UPDATE buyer_history 
+        SET buyer_id = $1, diff = diff || jsonb_build_object('mergedFromBuyerId', $2::text)
+        WHERE buyer_id = $2
+      `,
+        [id, duplicateId],
+      )
+      await client.query("UPDATE buyer_tasks SET buyer_id = $1 WHERE buyer_id = $2", [id, duplicateId])
+
+      // The duplicate goes to the trash like any deleted buyer, and its
+      // deletion is published to webhooks and live streams
+      await client.query("UPDATE buyers SET deleted_at = CURRENT_TIMESTAMP, deleted_by = $1 WHERE id = $2", [
+        req.user.id,
+        duplicateId,
+      ])
+      await recordHistory(duplicateId, req.user.id, { action: "deleted", mergedIntoBuyerId: id }, client)
+
+      await recordHistory(
+        id,
+        req.user.id,
+        {
+          action: "merged",
+          mergedFrom: {
+            id: duplicate.id,
+            fullName: duplicate.full_name,
+            email: duplicate.email,
+            phone: duplicate.phone,
+            source: duplicate.source,
+            status: duplicate.status,
+          },
+          changes,
+        },
+        client,
+      )
+
+      await client.query("COMMIT")
+
+      res.json({
+        message: "Buyers merged successfully",
+        buyer: result.rows[0],
+      })
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  } catch (error) {
+    if (error instanceof z.ZodError) {
       return res.status(400).json({
-        error: "Validation failed for some rows",
-        errors,
-        validRowsCount: validRows.length,
-        totalRowsCount: rows.length,
+        error: "Validation failed",
+        details: error.issues,
       })
     }
+    console.error("Merge buyers error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/buyers/:id/revert - Revert a buyer to a previous history version
+router.post("/:id/revert", requirePermission("buyers.update"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { historyId, mode, updatedAt, statusReason } = revertBuyerSchema.parse(req.body)
 
-    // Insert valid rows in a transaction
     const client = await pool.connect()
-    const insertedBuyers = []
 
     try {
       await client.query("BEGIN")
 
-      for (const row of validRows) {
-        const {
-          fullName,
-          email,
-          phone,
-          city,
-          propertyType,
-          bhk,
-          purpose,
-          budgetMin,
-          budgetMax,
-          timeline,
-          source,
-          status,
-          notes,
-          tags,
-        } = row
-
-        const result = await client.query(
+      const currentResult = await client.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE", [id])
+      if (currentResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ error: "Buyer not found" })
+      }
+
+      const currentBuyer = currentResult.rows[0]
+
+      if (!checkOwnership(req, currentBuyer.owner_id)) {
+        await client.query("ROLLBACK")
+        return res.status(403).json({ error: "Access denied. You can only edit your own buyers." })
+      }
+
+      // Check concurrency (if updatedAt is provided)
+      if (updatedAt && new Date(updatedAt).getTime() !== new Date(currentBuyer.updated_at).getTime()) {
+        await client.query("ROLLBACK")
+        return res.status(409).json({
+          error: "Record has been modified by another user. Please refresh and try again.",
+          currentUpdatedAt: currentBuyer.updated_at,
+        })
+      }
+
+      const entryResult = await client.query("SELECT * FROM buyer_history WHERE id = $1 AND buyer_id = $2", [
+        historyId,
+        id,
+      ])
+      if (entryResult.rows.length === 0) {
+        await client.query("ROLLBACK")
+        return res.status(404).json({ error: "History entry not found" })
+      }
+
+      const entry = entryResult.rows[0]
+
+      // Work out the field values to restore
+      let target
+      if (mode === "entry") {
+        if (!entry.diff.changes || entry.diff.mergedFromBuyerId) {
+          await client.query("ROLLBACK")
+          return res.status(422).json({ error: "This history entry has no field changes to revert" })
+        }
+
+        target = {}
+        for (const [key, change] of Object.entries(entry.diff.changes)) {
+          if (fieldMapping[key] && change && "from" in change) {
+            target[key] = change.from
+          }
+        }
+      } else {
+        const entriesResult = await client.query(
           `
-          INSERT INTO buyers (
-            full_name, email, phone, city, property_type, bhk, purpose,
-            budget_min, budget_max, timeline, source, status, notes, tags, owner_id
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-          RETURNING *
+          SELECT id, changed_at, diff
+          FROM buyer_history
+          WHERE buyer_id = $1
+            AND (changed_at, id) <= (SELECT changed_at, id FROM buyer_history WHERE id = $2)
+          ORDER BY changed_at ASC, id ASC
         `,
-          [
-            fullName,
-            email || null,
-            phone,
-            city,
-            propertyType,
-            bhk || null,
-            purpose,
-            budgetMin || null,
-            budgetMax || null,
-            timeline,
-            source,
-            status || "New",
-            notes || null,
-            tags || [],
-            req.user.id,
-          ],
+          [id, entry.id],
         )
 
-        const buyer = result.rows[0]
-        insertedBuyers.push(buyer)
-
-        // Record creation in history
-        await client.query("INSERT INTO buyer_history (buyer_id, changed_by, diff) VALUES ($1, $2, $3)", [
-          buyer.id,
-          req.user.id,
-          JSON.stringify({
-            action: "imported",
-            data: row,
-          }),
-        ])
+        const state = replayHistory(entriesResult.rows)
+        if (!state) {
+          await client.query("ROLLBACK")
+          return res.status(422).json({ error: "Unable to reconstruct the buyer at this history entry" })
+        }
+
+        target = {}
+        for (const key of Object.keys(fieldMapping)) {
+          target[key] = state[key] === "" ? null : (state[key] ?? null)
+        }
       }
 
+      const changes = {}
+      for (const [key, value] of Object.entries(target)) {
+        const currentValue = currentBuyer[fieldMapping[key]]
+        if (!isSameValue(currentValue, value)) {
+          changes[key] = { from: currentValue, to: value }
+        }
+      }
+
+      if (Object.keys(changes).length === 0) {
+        await client.query("ROLLBACK")
+        return res.status(400).json({ error: "Buyer already matches this version" })
+      }
+
+      // The restored record must still be a valid buyer
+      const restored = { ...toBuyerFields(currentBuyer) }
+      for (const [key, change] of Object.entries(changes)) {
+        if (change.to === null) {
+          delete restored[key]
+        } else {
+          restored[key] = change.to
+        }
+      }
+
+      const validation = buyerSchema.safeParse(restored)
+      if (!validation.success) {
+        await client.query("ROLLBACK")
+        return res.status(422).json({
+          error: "Reverting would leave the buyer in an invalid state",
+          details: validation.error.issues,
+        })
+      }
+
+      // A reverted status still has to follow the status pipeline
+      if (changes.status) {
+        const transitionError = checkStatusTransition(currentBuyer.status, changes.status.to, statusReason)
+        if (transitionError) {
+          await client.query("ROLLBACK")
+          return res.status(422).json(transitionError)
+        }
+        if (statusReason) {
+          changes.status.reason = statusReason
+        }
+      }
+
+      const updateFields = []
+      const updateValues = []
+      let paramCount = 0
+
+      for (const [key, change] of Object.entries(changes)) {
+        paramCount++
+        updateFields.push(`${fieldMapping[key]} = $${paramCount}`)
+        updateValues.push(change.to)
+      }
+
+      paramCount++
+      updateValues.push(id)
+
+      const result = await client.query(
+        `
+        UPDATE buyers 
+        SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $${paramCount}
+        RETURNING *
+      `,
+        updateValues,
+      )
+
+      await recordHistory(
+        id,
+        req.user.id,
+        {
+          action: "reverted",
+          revertedEntryId: entry.id,
+          mode,
+          changes,
+        },
+        client,
+      )
+
       await client.query("COMMIT")
+
+      res.json({
+        message: "Buyer reverted successfully",
+        buyer: result.rows[0],
+      })
     } catch (error) {
       await client.query("ROLLBACK")
       throw error
     } finally {
       client.release()
     }
-
-    res.json({
-      message: `Successfully imported ${insertedBuyers.length} buyers`,
-      importedCount: insertedBuyers.length,
-      buyers: insertedBuyers,
-    })
   } catch (error) {
-    console.error("Import CSV error:", error)
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Revert buyer error:", error)
     res.status(500).json({ error: "Internal server error" })
   }
 })
 
-// GET /api/buyers/export - CSV Export
-router.get("/export", async (req, res) => {
-  try {
-    // Use the same filtering logic as the list endpoint
-    const filters = filtersSchema.parse(req.query)
-    
-    const { city, propertyType, status, timeline, search, sortBy, sortOrder } = filters
+// Remove an upload that won't be imported
+function discardUpload(req) {
+  if (req.file) {
+    fs.promises.unlink(req.file.path).catch(() => {})
+  }
+}
 
-    let query = `
-      SELECT 
-        b.full_name as "fullName",
-        b.email,
-        b.phone,
-        b.city,
-        b.property_type as "propertyType",
-        b.bhk,
-        b.purpose,
-        b.budget_min as "budgetMin",
-        b.budget_max as "budgetMax",
-        b.timeline,
-        b.source,
-        b.status,
-        b.notes,
-        array_to_string(b.tags, ',') as tags,
-        b.created_at as "createdAt",
-        b.updated_at as "updatedAt"
-      FROM buyers b
-      WHERE 1=1
-    `
+// Import options from the query string or form fields. The format defaults
+// to the uploaded file's type, and a template supplies the mapping and
+// defaults unless the request gives its own. Sends a 404 and returns null
+// when the template doesn't exist.
+async function resolveImportOptions(req, res) {
+  const options = importOptionsSchema.parse({ ...req.query, ...req.body })
+  options.format = options.format || formatForFile(req.file) || "csv"
+  if (!options.templateId) {
+    return options
+  }
 
-    const queryParams = []
-    let paramCount = 0
+  const result = await pool.query("SELECT mapping, defaults FROM import_templates WHERE id = $1", [options.templateId])
+  const template = result.rows[0]
+  if (!template) {
+    res.status(404).json({ error: "Import template not found" })
+    return null
+  }
 
-    // Apply same filters as list endpoint
-    if (city) {
-      paramCount++
-      query += ` AND b.city = $${paramCount}`
-      queryParams.push(city)
-    }
+  return {
+    ...options,
+    mapping: options.mapping || template.mapping,
+    defaults: { ...template.defaults, ...options.defaults },
+  }
+}
 
-    if (propertyType) {
-      paramCount++
-      query += ` AND b.property_type = $${paramCount}`
-      queryParams.push(propertyType)
+// POST /api/buyers/import/preview - Check a file before importing it: the
+// column mapping that would be used and how the first rows would be handled
+router.post("/import/preview", requirePermission("buyers.import"), upload.single("csvFile"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "File is required" })
     }
 
-    if (status) {
-      paramCount++
-      query += ` AND b.status = $${paramCount}`
-      queryParams.push(status)
+    const options = await resolveImportOptions(req, res)
+    if (!options) return discardUpload(req)
+
+    const { headers, rows } = await readImportSample(req.file.path, options.format, PREVIEW_ROWS)
+    discardUpload(req)
+
+    const suggestedMapping = suggestMapping(headers)
+    const mapping = options.mapping || suggestedMapping
+    const mappedFields = Object.values(mapping)
+    const defaults = options.defaults || {}
+
+    // Templates whose columns all appear in this file
+    const templatesResult = await pool.query("SELECT id, name, mapping FROM import_templates ORDER BY name")
+    const matchingTemplates = templatesResult.rows
+      .filter((template) => Object.keys(template.mapping).every((header) => headers.includes(header)))
+      .map(({ id, name }) => ({ id, name }))
+
+    const context = createImportContext({ ...options, mapping }, req.user)
+    const sample = []
+    for (const [index, raw] of rows.entries()) {
+      const evaluated = await evaluateImportRow(raw, index + 1, context)
+      sample.push({
+        row: index + 1,
+        values: mapImportRow(raw, mapping),
+        valid: !evaluated.errors,
+        action: evaluated.entry ? (evaluated.entry.existing ? "update" : "create") : null,
+        existingBuyerId: evaluated.entry && evaluated.entry.existing ? evaluated.entry.existing.id : null,
+        errors: evaluated.errors || [],
+      })
     }
 
-    if (timeline) {
-      paramCount++
-      query += ` AND b.timeline = $${paramCount}`
-      queryParams.push(timeline)
+    res.json({
+      headers,
+      suggestedMapping,
+      mapping,
+      unmappedHeaders: headers.filter((header) => !mapping[header]),
+      missingRequiredFields: REQUIRED_FIELDS.filter((field) => !mappedFields.includes(field) && !defaults[field]),
+      matchingTemplates,
+      sample,
+    })
+  } catch (error) {
+    discardUpload(req)
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
     }
+    console.error("Preview import error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
 
-    if (search) {
-      paramCount++
-      query += ` AND (
-        b.full_name ILIKE $${paramCount} OR 
-        b.phone ILIKE $${paramCount} OR 
-        b.email ILIKE $${paramCount}
-      )`
-      queryParams.push(`%${search}%`)
+// POST /api/buyers/import - Queue an import. The file is processed in the
+// background; poll GET /api/imports/:jobId for progress.
+router.post("/import", requirePermission("buyers.import"), upload.single("csvFile"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: "File is required" })
     }
 
-    // Apply sorting
-    const validSortColumns = {
-      updatedAt: "b.updated_at",
-      fullName: "b.full_name",
-      createdAt: "b.created_at",
-    }
+    const options = await resolveImportOptions(req, res)
+    if (!options) return discardUpload(req)
 
-    query += ` ORDER BY ${validSortColumns[sortBy]} ${sortOrder.toUpperCase()}`
+    const result = await pool.query(
+      `
+      INSERT INTO import_jobs (created_by, filename, file_path, file_size, options, api_key_id, api_key_scopes)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id, status, filename, options, created_at
+    `,
+      [
+        req.user.id,
+        req.file.originalname,
+        req.file.path,
+        req.file.size,
+        JSON.stringify(options),
+        req.user.apiKeyId || null,
+        req.user.apiKeyScopes || null,
+      ],
+    )
 
-    const result = await pool.query(query, queryParams)
+    const job = result.rows[0]
 
-    // Generate CSV
-    const csvWriter = createCsvWriter({
-      path: "/tmp/buyers_export.csv",
-      header: [
-        { id: "fullName", title: "fullName" },
-        { id: "email", title: "email" },
-        { id: "phone", title: "phone" },
-        { id: "city", title: "city" },
-        { id: "propertyType", title: "propertyType" },
-        { id: "bhk", title: "bhk" },
-        { id: "purpose", title: "purpose" },
-        { id: "budgetMin", title: "budgetMin" },
-        { id: "budgetMax", title: "budgetMax" },
-        { id: "timeline", title: "timeline" },
-        { id: "source", title: "source" },
-        { id: "status", title: "status" },
-        { id: "notes", title: "notes" },
-        { id: "tags", title: "tags" },
-      ],
+    // Start right away instead of waiting for the next poll
+    processImportQueue()
+
+    res.status(202).json({
+      message: options.dryRun ? "Dry run queued" : "Import queued",
+      job: { ...job, statusUrl: `/api/imports/${job.id}` },
     })
+  } catch (error) {
+    discardUpload(req)
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Import buyers error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/buyers/export - Export as CSV, XLSX, JSON or NDJSON, chosen with
+// ?format= or the Accept header. Rows are streamed straight to the response.
+router.get("/export", requirePermission("buyers.export"), async (req, res) => {
+  try {
+    const { format: requestedFormat, columns } = exportOptionsSchema.parse(req.query)
+    const format = requestedFormat || formatForRequest(req)
+    if (!format) {
+      return res.status(406).json({
+        error: "Unsupported export format",
+        supportedTypes: Object.values(FILE_FORMATS).map((fileFormat) => fileFormat.contentType),
+      })
+    }
 
-    await csvWriter.writeRecords(result.rows)
+    const viewQuery = await applySavedView(req, res)
+    if (!viewQuery) return
 
-    // Send file
-    const filename = `buyers_export_${new Date().toISOString().split("T")[0]}.csv`
+    // Use the same filtering logic as the list endpoint
+    const filters = filtersSchema.parse(viewQuery)
 
-    res.setHeader("Content-Type", "text/csv")
-    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+    const date = new Date().toISOString().split("T")[0]
+    const filename = `buyers_export_${date}${FILE_FORMATS[format].extensions[0]}`
 
-    const fileStream = fs.createReadStream("/tmp/buyers_export.csv")
-    fileStream.pipe(res)
+    res.setHeader("Content-Type", FILE_FORMATS[format].contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`)
+    res.setHeader("Vary", "Accept")
 
-    // Clean up temp file after sending
-    fileStream.on("end", () => {
-      fs.unlink("/tmp/buyers_export.csv", (err) => {
-        if (err) console.error("Error deleting temp file:", err)
-      })
-    })
+    await streamBuyerExport(req, { filters, columns, format, output: res })
   } catch (error) {
-    console.error("Export CSV error:", error)
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    // The client went away mid-download; nothing left to tell it
+    if (res.destroyed) return
+    console.error("Export buyers error:", error)
+    if (res.headersSent) {
+      return res.destroy(error)
+    }
+    res.removeHeader("Content-Disposition")
     res.status(500).json({ error: "Internal server error" })
   }
 })
 
 // GET /api/buyers - List buyers with filters, search, and pagination
-router.get("/", async (req, res) => {
+router.get("/", requirePermission("buyers.read"), async (req, res) => {
   try {
     console.log({
       r: req.query
     })
-    const filters = filtersSchema.parse(req.query)
-    const { city, propertyType, status, timeline, search, page, limit, sortBy, sortOrder } = filters
+    const viewQuery = await applySavedView(req, res)
+    if (!viewQuery) return
+
+    const filters = filtersSchema.parse(viewQuery)
+    const { city, propertyType, status, timeline, search, page, limit } = filters
 
     let query = `
       SELECT 
@@ -552,67 +1104,23 @@ router.get("/", async (req, res) => {
         COUNT(*) OVER() as total_count
       FROM buyers b
       JOIN users u ON b.owner_id = u.id
-      WHERE 1=1
+      WHERE b.deleted_at IS NULL
     `
 
     const queryParams = []
-    let paramCount = 0
-
-    // Apply filters
-    if (city) {
-      paramCount++
-      query += ` AND b.city = $${paramCount}`
-      queryParams.push(city)
-    }
-
-    if (propertyType) {
-      paramCount++
-      query += ` AND b.property_type = $${paramCount}`
-      queryParams.push(propertyType)
-    }
-
-    if (status) {
-      paramCount++
-      query += ` AND b.status = $${paramCount}`
-      queryParams.push(status)
-    }
-
-    if (timeline) {
-      paramCount++
-      query += ` AND b.timeline = $${paramCount}`
-      queryParams.push(timeline)
-    }
-
-    // Apply search
-    if (search) {
-      paramCount++
-      query += ` AND (
-        b.full_name ILIKE $${paramCount} OR 
-        b.phone ILIKE $${paramCount} OR 
-        b.email ILIKE $${paramCount} OR
-        to_tsvector('english', COALESCE(b.full_name, '') || ' ' || COALESCE(b.email, '') || ' ' || COALESCE(b.notes, '')) @@ plainto_tsquery('english', $${paramCount})
-      )`
-      queryParams.push(`%${search}%`)
-    }
-
-    // Apply sorting
-    const validSortColumns = {
-      updatedAt: "b.updated_at",
-      fullName: "b.full_name",
-      createdAt: "b.created_at",
-    }
 
-    query += ` ORDER BY ${validSortColumns[sortBy]} ${sortOrder.toUpperCase()}`
+    // Limit to buyers the user may see, then apply filters, search and sorting
+    query += ownershipCondition(req, queryParams)
+    query += buildFilterConditions(filters, queryParams)
+    query += buildOrderBy(filters)
 
     // Apply pagination
     const offset = (page - 1) * limit
-    paramCount++
-    query += ` LIMIT $${paramCount}`
     queryParams.push(limit)
+    query += ` LIMIT $${queryParams.length}`
 
-    paramCount++
-    query += ` OFFSET $${paramCount}`
     queryParams.push(offset)
+    query += ` OFFSET $${queryParams.length}`
 
     const result = await pool.query(query, queryParams)
 
@@ -643,8 +1151,115 @@ router.get("/", async (req, res) => {
   }
 })
 
+// GET /api/buyers/:id/history - Paginated history timeline, or the buyer's
+// reconstructed state at a point in time when `asOf` is given
+router.get("/:id/history", requirePermission("buyers.read"), async (req, res) => {
+  try {
+    const { id } = req.params
+    const { cursor, limit, action, changedBy, asOf } = historyQuerySchema.parse(req.query)
+
+    const buyerResult = await pool.query("SELECT id, owner_id FROM buyers WHERE id = $1 AND deleted_at IS NULL", [id])
+    if (buyerResult.rows.length === 0) {
+      return res.status(404).json({ error: "Buyer not found" })
+    }
+
+    if (!checkOwnership(req, buyerResult.rows[0].owner_id, "view")) {
+      return res.status(403).json({ error: "Access denied. You can only view your own buyers." })
+    }
+
+    if (asOf) {
+      const entriesResult = await pool.query(
+        `
+        SELECT id, changed_at, diff
+        FROM buyer_history
+        WHERE buyer_id = $1 AND changed_at <= $2
+        ORDER BY changed_at ASC, id ASC
+      `,
+        [id, asOf],
+      )
+
+      const state = replayHistory(entriesResult.rows)
+      if (!state) {
+        return res.status(404).json({ error: "No history recorded for this buyer before the given time" })
+      }
+
+      return res.json({
+        asOf,
+        buyer: state,
+        entriesApplied: entriesResult.rows.length,
+      })
+    }
+
+    let query = `
+      SELECT 
+        bh.*,
+        u.email as changed_by_email
+      FROM buyer_history bh
+      JOIN users u ON bh.changed_by = u.id
+      WHERE bh.buyer_id = $1
+    `
+
+    const queryParams = [id]
+    let paramCount = 1
+
+    if (action) {
+      paramCount++
+      query += ` AND bh.diff->>'action' = ANY($${paramCount}::text[])`
+      queryParams.push(action.split(",").map((value) => value.trim()))
+    }
+
+    if (changedBy) {
+      paramCount++
+      query += ` AND bh.changed_by = $${paramCount}`
+      queryParams.push(changedBy)
+    }
+
+    if (cursor) {
+      const cursorId = decodeCursor(cursor)
+      if (!cursorId) {
+        return res.status(400).json({ error: "Invalid cursor" })
+      }
+
+      paramCount++
+      query += ` AND (bh.changed_at, bh.id) < (
+        SELECT changed_at, id FROM buyer_history WHERE id = $${paramCount}
+      )`
+      queryParams.push(cursorId)
+    }
+
+    // Fetch one extra row to know whether another page exists
+    const pageSize = limit || 20
+    paramCount++
+    query += ` ORDER BY bh.changed_at DESC, bh.id DESC LIMIT $${paramCount}`
+    queryParams.push(pageSize + 1)
+
+    const result = await pool.query(query, queryParams)
+
+    const hasMore = result.rows.length > pageSize
+    const history = result.rows.slice(0, pageSize)
+
+    res.json({
+      history,
+      pagination: {
+        limit: pageSize,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(history[history.length - 1]) : null,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get buyer history error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
 // GET /api/buyers/:id - Get single buyer
-router.get("/:id", async (req, res) => {
+router.get("/:id", requirePermission("buyers.read"), async (req, res) => {
   try {
     const { id } = req.params
 
@@ -655,7 +1270,7 @@ router.get("/:id", async (req, res) => {
         u.email as owner_email
       FROM buyers b
       JOIN users u ON b.owner_id = u.id
-      WHERE b.id = $1
+      WHERE b.id = $1 AND b.deleted_at IS NULL
     `,
       [id],
     )
@@ -666,6 +1281,10 @@ router.get("/:id", async (req, res) => {
 
     const buyer = result.rows[0]
 
+    if (!checkOwnership(req, buyer.owner_id, "view")) {
+      return res.status(403).json({ error: "Access denied. You can only view your own buyers." })
+    }
+
     // Get history (last 5 changes)
     const historyResult = await pool.query(
       `
@@ -0,0 +1,112 @@
+const express = require("express")
+const jwt = require("jsonwebtoken")
+const pool = require("../config/database")
+const { authenticateToken, requirePermission, hasPermission, loadVisibleUserIds } = require("../middleware/auth")
+const { subscribe } = require("../utils/realtime")
+
+const router = express.Router()
+
+const HEARTBEAT_INTERVAL_MS = 25000
+const REVALIDATE_INTERVAL_MS = 60000
+
+// EventSource can't send headers, so browsers pass the access token in the
+// query string instead
+function tokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && req.query.accessToken) {
+    req.headers.authorization = `Bearer ${req.query.accessToken}`
+  }
+  next()
+}
+
+// Check that a stream's user may still receive events: the account is active,
+// its session or API key hasn't been revoked or expired, and it can still read
+// buyers. Refreshes the role and visible users that events are filtered by.
+async function revalidateStreamUser(user) {
+  const result = await pool.query(
+    `
+    SELECT 
+      u.role,
+      u.is_active,
+      CASE 
+        WHEN $2::uuid IS NOT NULL THEN EXISTS (
+          SELECT 1 FROM api_keys k
+          WHERE k.id = $2 AND k.user_id = u.id AND k.revoked_at IS NULL 
+            AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+        )
+        ELSE EXISTS (
+          SELECT 1 FROM refresh_tokens rt
+          WHERE rt.family_id = $3 AND rt.user_id = u.id AND rt.revoked_at IS NULL
+        )
+      END as credentials_valid
+    FROM users u
+    WHERE u.id = $1
+  `,
+    [user.id, user.apiKeyId || null, user.sessionId || null],
+  )
+
+  const current = result.rows[0]
+  if (!current || !current.is_active || !current.credentials_valid) return false
+
+  user.role = current.role
+  if (!hasPermission(user, "buyers.read")) return false
+
+  user.visibleUserIds = await loadVisibleUserIds(user.id)
+  return true
+}
+
+// GET /api/events - Stream buyer created/updated/deleted events the user may see
+router.get("/", tokenFromQuery, authenticateToken, requirePermission("buyers.read"), (req, res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  })
+  res.write("retry: 5000\n\n")
+
+  const unsubscribe = subscribe(req.user, (message) => {
+    const { event, historyId, previousOwnerId, ...data } = message
+    if (historyId) res.write(`id: ${historyId}\n`)
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+  })
+
+  // Comments keep proxies from closing an idle stream
+  const heartbeat = setInterval(() => res.write(": ping\n\n"), HEARTBEAT_INTERVAL_MS)
+
+  // End the stream when the access token expires so the client reconnects
+  // with a fresh one, rather than listening on a stale token indefinitely
+  let expiryTimer = null
+  const token = req.headers.authorization && req.headers.authorization.split(" ")[1]
+  const decoded = !req.user.apiKeyId && token ? jwt.decode(token) : null
+  if (decoded && decoded.exp) {
+    expiryTimer = setTimeout(
+      () => {
+        res.write("event: token_expired\ndata: {}\n\n")
+        res.end()
+      },
+      // setTimeout can't wait longer than about 24.8 days
+      Math.min(Math.max(decoded.exp * 1000 - Date.now(), 0), 2 ** 31 - 1),
+    )
+  }
+
+  // Access can be lost while the stream is open, and team changes alter which
+  // buyers the user sees
+  const revalidation = setInterval(async () => {
+    try {
+      if ((await revalidateStreamUser(req.user)) || res.writableEnded) return
+      res.write("event: access_revoked\ndata: {}\n\n")
+      res.end()
+    } catch (error) {
+      console.error("Event stream revalidation error:", error)
+    }
+  }, REVALIDATE_INTERVAL_MS)
+
+  req.on("close", () => {
+    unsubscribe()
+    clearInterval(heartbeat)
+    clearInterval(revalidation)
+    clearTimeout(expiryTimer)
+  })
+})
+
+module.exports = router
@@ -0,0 +1,251 @@
+const express = require("express")
+const fs = require("fs")
+const z = require("zod")
+const pool = require("../config/database")
+const { hasPermission } = require("../middleware/auth")
+const { importTemplateSchema } = require("../utils/validation")
+
+const router = express.Router()
+
+const importJobsQuerySchema = z.object({
+  status: z.enum(["queued", "running", "completed", "failed"]).optional().or(z.literal("")),
+  page: z.union([z.coerce.number().int().min(1), z.literal("")]).default(1),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(20),
+})
+
+// Hide file paths and add progress and the error report link
+function toJobResponse(job) {
+  const { file_path, error_file_path, total_count, ...rest } = job
+  return {
+    ...rest,
+    progress: job.file_size > 0 ? Math.min(100, Math.round((job.bytes_processed / job.file_size) * 100)) : 0,
+    errorReportUrl: error_file_path ? `/api/imports/${job.id}/errors` : null,
+  }
+}
+
+// Users see their own imports; user managers see everyone's
+async function loadJob(req, res) {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.jobId)) {
+    res.status(404).json({ error: "Import job not found" })
+    return null
+  }
+
+  const result = await pool.query("SELECT * FROM import_jobs WHERE id = $1", [req.params.jobId])
+  const job = result.rows[0]
+
+  if (!job || (job.created_by !== req.user.id && !hasPermission(req.user, "users.manage"))) {
+    res.status(404).json({ error: "Import job not found" })
+    return null
+  }
+
+  return job
+}
+
+// GET /api/imports - List the user's imports, newest first
+router.get("/", async (req, res) => {
+  try {
+    const { status, page, limit } = importJobsQuerySchema.parse(req.query)
+    const pageNumber = page || 1
+    const pageSize = limit || 20
+
+    const queryParams = [req.user.id]
+    let query = `
+      SELECT 
+        j.*,
+        COUNT(*) OVER() as total_count
+      FROM import_jobs j
+      WHERE j.created_by = $1
+    `
+
+    if (status) {
+      queryParams.push(status)
+      query += ` AND j.status = $${queryParams.length}`
+    }
+
+    queryParams.push(pageSize)
+    query += ` ORDER BY j.created_at DESC LIMIT $${queryParams.length}`
+
+    queryParams.push((pageNumber - 1) * pageSize)
+    query += ` OFFSET $${queryParams.length}`
+
+    const result = await pool.query(query, queryParams)
+
+    const totalCount = result.rows.length > 0 ? Number.parseInt(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(totalCount / pageSize)
+
+    res.json({
+      jobs: result.rows.map(toJobResponse),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalCount,
+        totalPages,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get import jobs error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// Templates are shared by everyone who imports; only their creator or a
+// user manager can change them
+async function loadTemplate(req, res) {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    res.status(404).json({ error: "Import template not found" })
+    return null
+  }
+
+  const result = await pool.query("SELECT * FROM import_templates WHERE id = $1", [req.params.id])
+  const template = result.rows[0]
+
+  if (!template) {
+    res.status(404).json({ error: "Import template not found" })
+    return null
+  }
+
+  if (template.created_by !== req.user.id && !hasPermission(req.user, "users.manage")) {
+    res.status(403).json({ error: "Only the creator can change this template" })
+    return null
+  }
+
+  return template
+}
+
+// GET /api/imports/templates - List saved column mappings
+router.get("/templates", async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT t.*, u.email as created_by_email
+      FROM import_templates t
+      LEFT JOIN users u ON t.created_by = u.id
+      ORDER BY t.name
+    `)
+
+    res.json({ templates: result.rows })
+  } catch (error) {
+    console.error("Get import templates error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/imports/templates - Save a column mapping for reuse
+router.post("/templates", async (req, res) => {
+  try {
+    const { name, mapping, defaults } = importTemplateSchema.parse(req.body)
+
+    const result = await pool.query(
+      `
+      INSERT INTO import_templates (name, mapping, defaults, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `,
+      [name, JSON.stringify(mapping), JSON.stringify(defaults), req.user.id],
+    )
+
+    res.status(201).json({
+      message: "Import template created successfully",
+      template: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create import template error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/imports/templates/:id - Replace a template
+router.put("/templates/:id", async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res)
+    if (!template) return
+
+    const { name, mapping, defaults } = importTemplateSchema.parse(req.body)
+
+    const result = await pool.query(
+      `
+      UPDATE import_templates
+      SET name = $1, mapping = $2, defaults = $3
+      WHERE id = $4
+      RETURNING *
+    `,
+      [name, JSON.stringify(mapping), JSON.stringify(defaults), template.id],
+    )
+
+    res.json({
+      message: "Import template updated successfully",
+      template: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update import template error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/imports/templates/:id - Delete a template
+router.delete("/templates/:id", async (req, res) => {
+  try {
+    const template = await loadTemplate(req, res)
+    if (!template) return
+
+    await pool.query("DELETE FROM import_templates WHERE id = $1", [template.id])
+
+    res.json({ message: "Import template deleted successfully" })
+  } catch (error) {
+    console.error("Delete import template error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/imports/:jobId - Import progress and results
+router.get("/:jobId", async (req, res) => {
+  try {
+    const job = await loadJob(req, res)
+    if (!job) return
+
+    res.json({ job: toJobResponse(job) })
+  } catch (error) {
+    console.error("Get import job error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/imports/:jobId/errors - Download the rejected rows with reasons
+router.get("/:jobId/errors", async (req, res) => {
+  try {
+    const job = await loadJob(req, res)
+    if (!job) return
+
+    if (!job.error_file_path || !fs.existsSync(job.error_file_path)) {
+      return res.status(404).json({ error: "No rejected rows for this import" })
+    }
+
+    res.setHeader("Content-Type", "text/csv")
+    res.setHeader("Content-Disposition", `attachment; filename="import_${job.id}_errors.csv"`)
+    fs.createReadStream(job.error_file_path).pipe(res)
+  } catch (error) {
+    console.error("Download import errors error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,150 @@
+const express = require("express")
+const crypto = require("crypto")
+const z = require("zod")
+const pool = require("../config/database")
+const { leadSiteSchema } = require("../utils/validation")
+const { hashToken } = require("../utils/tokens")
+
+const router = express.Router()
+
+const SITE_COLUMNS = "id, name, key_prefix, allowed_origins, default_owner_id, active, created_at, updated_at"
+
+function generateSiteKey() {
+  const keyPrefix = `site_${crypto.randomBytes(4).toString("hex")}`
+  return { keyPrefix, siteKey: `${keyPrefix}_${crypto.randomBytes(24).toString("base64url")}` }
+}
+
+async function ownerExists(userId) {
+  const result = await pool.query("SELECT 1 FROM users WHERE id = $1 AND is_active = TRUE", [userId])
+  return result.rows.length > 0
+}
+
+// GET /api/lead-sites - List lead-capture sites
+router.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${SITE_COLUMNS} FROM lead_capture_sites ORDER BY created_at ASC`)
+    res.json({ sites: result.rows })
+  } catch (error) {
+    console.error("Get lead sites error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/lead-sites - Register a site; its key is only shown once
+router.post("/", async (req, res) => {
+  try {
+    const site = leadSiteSchema.parse(req.body)
+
+    if (!(await ownerExists(site.defaultOwnerId))) {
+      return res.status(400).json({ error: "Default owner must be an active user" })
+    }
+
+    const { keyPrefix, siteKey } = generateSiteKey()
+    const result = await pool.query(
+      `
+      INSERT INTO lead_capture_sites (name, key_prefix, key_hash, allowed_origins, default_owner_id, active)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${SITE_COLUMNS}
+    `,
+      [site.name, keyPrefix, hashToken(siteKey), site.allowedOrigins, site.defaultOwnerId, site.active],
+    )
+
+    res.status(201).json({
+      message: "Lead-capture site created. Store the site key now; it won't be shown again.",
+      site: { ...result.rows[0], key: siteKey },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create lead site error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/lead-sites/:id - Update a site's settings
+router.put("/:id", async (req, res) => {
+  try {
+    const site = leadSiteSchema.parse(req.body)
+
+    if (!(await ownerExists(site.defaultOwnerId))) {
+      return res.status(400).json({ error: "Default owner must be an active user" })
+    }
+
+    const result = await pool.query(
+      `
+      UPDATE lead_capture_sites 
+      SET name = $1, allowed_origins = $2, default_owner_id = $3, active = $4
+      WHERE id = $5
+      RETURNING ${SITE_COLUMNS}
+    `,
+      [site.name, site.allowedOrigins, site.defaultOwnerId, site.active, req.params.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Lead-capture site not found" })
+    }
+
+    res.json({
+      message: "Lead-capture site updated successfully",
+      site: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update lead site error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/lead-sites/:id/rotate-key - Replace a site's key, invalidating the old one
+router.post("/:id/rotate-key", async (req, res) => {
+  try {
+    const { keyPrefix, siteKey } = generateSiteKey()
+    const result = await pool.query(
+      `
+      UPDATE lead_capture_sites 
+      SET key_prefix = $1, key_hash = $2
+      WHERE id = $3
+      RETURNING ${SITE_COLUMNS}
+    `,
+      [keyPrefix, hashToken(siteKey), req.params.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Lead-capture site not found" })
+    }
+
+    res.json({
+      message: "Site key rotated. Store it now; it won't be shown again.",
+      site: { ...result.rows[0], key: siteKey },
+    })
+  } catch (error) {
+    console.error("Rotate lead site key error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/lead-sites/:id - Delete a site
+router.delete("/:id", async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM lead_capture_sites WHERE id = $1 RETURNING id", [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Lead-capture site not found" })
+    }
+
+    res.json({ message: "Lead-capture site deleted successfully" })
+  } catch (error) {
+    console.error("Delete lead site error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,118 @@
+const express = require("express")
+const cors = require("cors")
+const rateLimit = require("express-rate-limit")
+const z = require("zod")
+const pool = require("../config/database")
+const { publicLeadSchema } = require("../utils/validation")
+const { recordHistory } = require("../utils/history")
+const { findRecentSubmission } = require("../utils/duplicates")
+const { assignOwner } = require("../utils/assignment")
+const { hashToken } = require("../utils/tokens")
+
+const router = express.Router()
+
+// Website forms post cross-origin from sites we don't control; the allowed
+// origins are checked per site key in the handler instead
+router.use(cors({ origin: true }))
+router.use(express.json({ limit: "16kb" }))
+
+// Much stricter than the global limiter, since these routes are unauthenticated
+const leadLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: Number.parseInt(process.env.PUBLIC_LEADS_RATE_LIMIT) || 20,
+  message: { error: "Too many submissions, please try again later." },
+})
+
+// Hidden form field real visitors leave empty
+const HONEYPOT_FIELD = "website"
+
+const DEDUPE_HOURS = Number.parseInt(process.env.PUBLIC_LEAD_DEDUPE_HOURS) || 24
+
+// Every accepted, deduplicated or honeypotted submission gets the same answer
+const ACCEPTED_RESPONSE = { message: "Thank you, we'll be in touch." }
+
+// POST /api/public/leads - Capture a lead from a website form
+router.post("/leads", leadLimiter, async (req, res) => {
+  try {
+    const siteKey = req.headers["x-site-key"]
+    if (!siteKey) {
+      return res.status(401).json({ error: "Site key required" })
+    }
+
+    const siteResult = await pool.query(
+      "SELECT id, allowed_origins, default_owner_id FROM lead_capture_sites WHERE key_hash = $1 AND active = TRUE",
+      [hashToken(siteKey)],
+    )
+    if (siteResult.rows.length === 0) {
+      return res.status(401).json({ error: "Invalid site key" })
+    }
+
+    const site = siteResult.rows[0]
+
+    // Browsers always send Origin on cross-origin posts; server-to-server
+    // callers without one are allowed through
+    const origin = req.headers.origin
+    if (origin && site.allowed_origins.length > 0 && !site.allowed_origins.includes(origin)) {
+      return res.status(403).json({ error: "Origin not allowed" })
+    }
+
+    const body = req.body || {}
+    if (body[HONEYPOT_FIELD]) {
+      return res.status(202).json(ACCEPTED_RESPONSE)
+    }
+
+    const lead = publicLeadSchema.parse(body)
+
+    if (await findRecentSubmission(lead, DEDUPE_HOURS)) {
+      return res.status(202).json(ACCEPTED_RESPONSE)
+    }
+
+    // Route through the assignment rules with the site's owner as the intake account
+    const assignment = await assignOwner(lead, site.default_owner_id)
+
+    const result = await pool.query(
+      `
+      INSERT INTO buyers (
+        full_name, email, phone, city, property_type, bhk, purpose,
+        budget_min, budget_max, timeline, source, status, notes, tags, owner_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, 'Website', 'New', $11, '{}', $12)
+      RETURNING id
+    `,
+      [
+        lead.fullName,
+        lead.email || null,
+        lead.phone,
+        lead.city,
+        lead.propertyType,
+        lead.bhk || null,
+        lead.purpose,
+        lead.budgetMin || null,
+        lead.budgetMax || null,
+        lead.timeline,
+        lead.notes || null,
+        assignment ? assignment.ownerId : site.default_owner_id,
+      ],
+    )
+
+    await recordHistory(result.rows[0].id, site.default_owner_id, {
+      action: "created",
+      data: { ...lead, source: "Website", status: "New" },
+      leadCaptureSiteId: site.id,
+      ...(assignment && { assignment: { ...assignment.rule, ownerId: assignment.ownerId } }),
+    })
+
+    res.status(202).json(ACCEPTED_RESPONSE)
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      // Only say which fields are wrong
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues.map((issue) => ({ field: issue.path.join("."), message: issue.message })),
+      })
+    }
+    console.error("Public lead capture error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,322 @@
+const express = require("express")
+const fs = require("fs")
+const z = require("zod")
+const pool = require("../config/database")
+const { hasPermission } = require("../middleware/auth")
+const { scheduledReportSchema, reportRunsQuerySchema } = require("../utils/validation")
+const { FILE_FORMATS } = require("../utils/fileFormats")
+const { nextRunAt, reportFilename, processReportQueue } = require("../utils/reports")
+
+const router = express.Router()
+
+// Hide the file path and add the download link
+function toRunResponse(run) {
+  const { file_path, total_count, ...rest } = run
+  return {
+    ...rest,
+    downloadUrl:
+      run.status === "succeeded" && file_path ? `/api/reports/${run.report_id}/runs/${run.id}/download` : null,
+  }
+}
+
+// Users see their own reports; user managers see everyone's
+async function loadReport(req, res) {
+  if (!/^[0-9a-f-]{36}$/i.test(req.params.id)) {
+    res.status(404).json({ error: "Report not found" })
+    return null
+  }
+
+  const result = await pool.query("SELECT * FROM scheduled_reports WHERE id = $1", [req.params.id])
+  const report = result.rows[0]
+
+  if (!report || (report.created_by !== req.user.id && !hasPermission(req.user, "users.manage"))) {
+    res.status(404).json({ error: "Report not found" })
+    return null
+  }
+
+  return report
+}
+
+// Reports can only notify webhooks that exist
+async function checkWebhook(report, res) {
+  if (!report.webhookId) return true
+
+  const result = await pool.query("SELECT id FROM webhooks WHERE id = $1", [report.webhookId])
+  if (result.rows.length === 0) {
+    res.status(400).json({ error: "Webhook not found" })
+    return false
+  }
+  return true
+}
+
+function reportValues(report) {
+  return [
+    report.name,
+    report.cronExpression,
+    report.timezone,
+    JSON.stringify(report.filters),
+    report.columns,
+    report.sortBy,
+    report.sortOrder,
+    report.format,
+    report.recipients,
+    report.webhookId,
+    report.active,
+    report.active ? nextRunAt({ cron_expression: report.cronExpression, timezone: report.timezone }) : null,
+  ]
+}
+
+// GET /api/reports - List scheduled reports
+router.get("/", async (req, res) => {
+  try {
+    const queryParams = []
+    let query = `
+      SELECT r.*, u.email as created_by_email
+      FROM scheduled_reports r
+      LEFT JOIN users u ON r.created_by = u.id
+    `
+
+    if (!hasPermission(req.user, "users.manage")) {
+      queryParams.push(req.user.id)
+      query += ` WHERE r.created_by = $${queryParams.length}`
+    }
+
+    query += " ORDER BY r.name"
+
+    const result = await pool.query(query, queryParams)
+    res.json({ reports: result.rows })
+  } catch (error) {
+    console.error("Get reports error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/reports - Schedule a recurring export
+router.post("/", async (req, res) => {
+  try {
+    const report = scheduledReportSchema.parse(req.body)
+    if (!(await checkWebhook(report, res))) return
+
+    const result = await pool.query(
+      `
+      INSERT INTO scheduled_reports (
+        name, cron_expression, timezone, filters, columns, sort_by, sort_order, format,
+        recipients, webhook_id, active, next_run_at, created_by, api_key_id, api_key_scopes
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+      RETURNING *
+    `,
+      [...reportValues(report), req.user.id, req.user.apiKeyId || null, req.user.apiKeyScopes || null],
+    )
+
+    res.status(201).json({
+      message: "Report scheduled successfully",
+      report: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create report error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/reports/:id - Get a report
+router.get("/:id", async (req, res) => {
+  try {
+    const report = await loadReport(req, res)
+    if (!report) return
+
+    res.json({ report })
+  } catch (error) {
+    console.error("Get report error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/reports/:id - Replace a report's definition and reschedule it
+router.put("/:id", async (req, res) => {
+  try {
+    const existing = await loadReport(req, res)
+    if (!existing) return
+
+    const report = scheduledReportSchema.parse(req.body)
+    if (!(await checkWebhook(report, res))) return
+
+    // A creator editing through an API key narrows the report to that key's
+    // scopes; anyone else leaves the report's own scoping alone
+    const apiKey =
+      existing.created_by === req.user.id
+        ? { id: req.user.apiKeyId || null, scopes: req.user.apiKeyScopes || null }
+        : { id: existing.api_key_id, scopes: existing.api_key_scopes }
+
+    const result = await pool.query(
+      `
+      UPDATE scheduled_reports
+      SET name = $1, cron_expression = $2, timezone = $3, filters = $4, columns = $5, sort_by = $6,
+          sort_order = $7, format = $8, recipients = $9, webhook_id = $10, active = $11, next_run_at = $12,
+          api_key_id = $13, api_key_scopes = $14
+      WHERE id = $15
+      RETURNING *
+    `,
+      [...reportValues(report), apiKey.id, apiKey.scopes, existing.id],
+    )
+
+    res.json({
+      message: "Report updated successfully",
+      report: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update report error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/reports/:id - Delete a report, its run history and files
+router.delete("/:id", async (req, res) => {
+  try {
+    const report = await loadReport(req, res)
+    if (!report) return
+
+    const runsResult = await pool.query("SELECT file_path FROM report_runs WHERE report_id = $1", [report.id])
+    await pool.query("DELETE FROM scheduled_reports WHERE id = $1", [report.id])
+
+    for (const run of runsResult.rows.filter((run) => run.file_path)) {
+      fs.promises.unlink(run.file_path).catch((error) => {
+        console.error("Error deleting report file:", error)
+      })
+    }
+
+    res.json({ message: "Report deleted successfully" })
+  } catch (error) {
+    console.error("Delete report error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/reports/:id/run - Run a report now, outside its schedule
+router.post("/:id/run", async (req, res) => {
+  try {
+    const report = await loadReport(req, res)
+    if (!report) return
+
+    const result = await pool.query(
+      `
+      INSERT INTO report_runs (report_id, trigger, requested_by, format)
+      VALUES ($1, 'manual', $2, $3)
+      RETURNING *
+    `,
+      [report.id, req.user.id, report.format],
+    )
+
+    // Start right away instead of waiting for the next poll
+    processReportQueue()
+
+    res.status(202).json({
+      message: "Report run queued",
+      run: toRunResponse(result.rows[0]),
+    })
+  } catch (error) {
+    console.error("Run report error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/reports/:id/runs - Run history, newest first
+router.get("/:id/runs", async (req, res) => {
+  try {
+    const report = await loadReport(req, res)
+    if (!report) return
+
+    const { status, page, limit } = reportRunsQuerySchema.parse(req.query)
+    const pageNumber = page || 1
+    const pageSize = limit || 20
+
+    const queryParams = [report.id]
+    let query = `
+      SELECT
+        r.*,
+        COUNT(*) OVER() as total_count
+      FROM report_runs r
+      WHERE r.report_id = $1
+    `
+
+    if (status) {
+      queryParams.push(status)
+      query += ` AND r.status = $${queryParams.length}`
+    }
+
+    queryParams.push(pageSize)
+    query += ` ORDER BY r.created_at DESC LIMIT $${queryParams.length}`
+
+    queryParams.push((pageNumber - 1) * pageSize)
+    query += ` OFFSET $${queryParams.length}`
+
+    const result = await pool.query(query, queryParams)
+
+    const totalCount = result.rows.length > 0 ? Number.parseInt(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(totalCount / pageSize)
+
+    res.json({
+      runs: result.rows.map(toRunResponse),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalCount,
+        totalPages,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get report runs error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/reports/:id/runs/:runId/download - Download a run's file
+router.get("/:id/runs/:runId/download", async (req, res) => {
+  try {
+    const report = await loadReport(req, res)
+    if (!report) return
+
+    if (!/^[0-9a-f-]{36}$/i.test(req.params.runId)) {
+      return res.status(404).json({ error: "Report run not found" })
+    }
+
+    const result = await pool.query("SELECT * FROM report_runs WHERE id = $1 AND report_id = $2", [
+      req.params.runId,
+      report.id,
+    ])
+    const run = result.rows[0]
+
+    if (!run || run.status !== "succeeded" || !run.file_path || !fs.existsSync(run.file_path)) {
+      return res.status(404).json({ error: "Report file not found" })
+    }
+
+    res.setHeader("Content-Type", FILE_FORMATS[run.format].contentType)
+    res.setHeader("Content-Disposition", `attachment; filename="${reportFilename(report, run)}"`)
+    fs.createReadStream(run.file_path).pipe(res)
+  } catch (error) {
+    console.error("Download report error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
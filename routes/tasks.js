@@ -0,0 +1,55 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { taskAgendaSchema } = require("../utils/validation")
+
+const router = express.Router()
+
+// Due-window conditions for the agenda view
+const dueConditions = {
+  overdue: "t.due_at < CURRENT_TIMESTAMP",
+  today: "t.due_at >= date_trunc('day', CURRENT_TIMESTAMP) AND t.due_at < date_trunc('day', CURRENT_TIMESTAMP) + INTERVAL '1 day'",
+  week: "t.due_at >= date_trunc('day', CURRENT_TIMESTAMP) AND t.due_at < date_trunc('day', CURRENT_TIMESTAMP) + INTERVAL '7 days'",
+}
+
+// GET /api/tasks - Open follow-up tasks for the current user
+router.get("/", async (req, res) => {
+  try {
+    const { due } = taskAgendaSchema.parse(req.query)
+
+    let query = `
+      SELECT 
+        t.*,
+        b.full_name as buyer_name,
+        b.phone as buyer_phone,
+        b.status as buyer_status
+      FROM buyer_tasks t
+      JOIN buyers b ON t.buyer_id = b.id
+      WHERE t.owner_id = $1 AND t.completed_at IS NULL AND b.deleted_at IS NULL
+    `
+
+    if (due) {
+      query += ` AND ${dueConditions[due]}`
+    }
+
+    query += " ORDER BY t.due_at ASC"
+
+    const result = await pool.query(query, [req.user.id])
+
+    res.json({
+      tasks: result.rows,
+      due: due || null,
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get agenda error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,173 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { teamSchema, teamMemberSchema } = require("../utils/validation")
+const { hasPermission, requirePermission } = require("../middleware/auth")
+
+const router = express.Router()
+
+// GET /api/teams - List teams with members (team managers see all, others their own)
+router.get("/", async (req, res) => {
+  try {
+    const queryParams = []
+    let query = `
+      SELECT 
+        t.*,
+        COALESCE(
+          json_agg(json_build_object('userId', u.id, 'email', u.email, 'role', tm.role) ORDER BY u.email)
+            FILTER (WHERE u.id IS NOT NULL),
+          '[]'
+        ) as members
+      FROM teams t
+      LEFT JOIN team_members tm ON tm.team_id = t.id
+      LEFT JOIN users u ON tm.user_id = u.id
+    `
+
+    if (!hasPermission(req.user, "teams.manage")) {
+      queryParams.push(req.user.id)
+      query += " WHERE t.id IN (SELECT team_id FROM team_members WHERE user_id = $1)"
+    }
+
+    query += " GROUP BY t.id ORDER BY t.name"
+
+    const result = await pool.query(query, queryParams)
+
+    res.json({ teams: result.rows })
+  } catch (error) {
+    console.error("Get teams error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/teams - Create a team
+router.post("/", requirePermission("teams.manage"), async (req, res) => {
+  try {
+    const { name } = teamSchema.parse(req.body)
+
+    const result = await pool.query("INSERT INTO teams (name) VALUES ($1) RETURNING *", [name])
+
+    res.status(201).json({
+      message: "Team created successfully",
+      team: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    // Unique violation on teams.name
+    if (error.code === "23505") {
+      return res.status(400).json({ error: "A team with this name already exists" })
+    }
+    console.error("Create team error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/teams/:id - Rename a team
+router.put("/:id", requirePermission("teams.manage"), async (req, res) => {
+  try {
+    const { name } = teamSchema.parse(req.body)
+
+    const result = await pool.query("UPDATE teams SET name = $1 WHERE id = $2 RETURNING *", [name, req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Team not found" })
+    }
+
+    res.json({
+      message: "Team updated successfully",
+      team: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    // Unique violation on teams.name
+    if (error.code === "23505") {
+      return res.status(400).json({ error: "A team with this name already exists" })
+    }
+    console.error("Update team error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/teams/:id - Delete a team
+router.delete("/:id", requirePermission("teams.manage"), async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM teams WHERE id = $1 RETURNING id", [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Team not found" })
+    }
+
+    res.json({ message: "Team deleted successfully" })
+  } catch (error) {
+    console.error("Delete team error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/teams/:id/members - Add a member or change their team role
+router.put("/:id/members", requirePermission("teams.manage"), async (req, res) => {
+  try {
+    const { userId, role } = teamMemberSchema.parse(req.body)
+
+    const teamResult = await pool.query("SELECT id FROM teams WHERE id = $1", [req.params.id])
+    if (teamResult.rows.length === 0) {
+      return res.status(404).json({ error: "Team not found" })
+    }
+
+    const userResult = await pool.query("SELECT id FROM users WHERE id = $1", [userId])
+    if (userResult.rows.length === 0) {
+      return res.status(404).json({ error: "User not found" })
+    }
+
+    const result = await pool.query(
+      `
+      INSERT INTO team_members (team_id, user_id, role) 
+      VALUES ($1, $2, $3)
+      ON CONFLICT (team_id, user_id) DO UPDATE SET role = EXCLUDED.role
+      RETURNING *
+    `,
+      [req.params.id, userId, role],
+    )
+
+    res.json({
+      message: "Team member saved successfully",
+      member: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Save team member error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/teams/:id/members/:userId - Remove a member
+router.delete("/:id/members/:userId", requirePermission("teams.manage"), async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM team_members WHERE team_id = $1 AND user_id = $2 RETURNING user_id", [
+      req.params.id,
+      req.params.userId,
+    ])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Team member not found" })
+    }
+
+    res.json({ message: "Team member removed successfully" })
+  } catch (error) {
+    console.error("Remove team member error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,183 @@
+const express = require("express")
+const z = require("zod")
+const pool = require("../config/database")
+const { savedViewSchema } = require("../utils/validation")
+const { hasPermission, ownershipCondition } = require("../middleware/auth")
+const { buildFilterConditions } = require("../utils/buyerFilters")
+const { findAccessibleView } = require("../utils/savedViews")
+
+const router = express.Router()
+
+// Number of buyers the caller can see that currently match a view
+async function countMatchingBuyers(req, view) {
+  const queryParams = []
+  let query = "SELECT COUNT(*)::int as count FROM buyers b WHERE b.deleted_at IS NULL"
+  query += ownershipCondition(req, queryParams)
+  query += buildFilterConditions(view.filters, queryParams)
+
+  const result = await pool.query(query, queryParams)
+  return result.rows[0].count
+}
+
+// Views can be shared with the user's own teams, or any team by team managers
+async function canShareWithTeam(req, teamId) {
+  const result = await pool.query(
+    `
+    SELECT 1 
+    FROM teams t
+    WHERE t.id = $1
+      AND ($3 OR EXISTS (SELECT 1 FROM team_members tm WHERE tm.team_id = t.id AND tm.user_id = $2))
+  `,
+    [teamId, req.user.id, hasPermission(req.user, "teams.manage")],
+  )
+  return result.rows.length > 0
+}
+
+// GET /api/views - List the user's own views and those shared with their teams
+router.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      SELECT 
+        v.*,
+        u.email as owner_email,
+        t.name as team_name
+      FROM saved_views v
+      JOIN users u ON v.owner_id = u.id
+      LEFT JOIN teams t ON v.team_id = t.id
+      WHERE v.owner_id = $1 
+        OR v.team_id IN (SELECT team_id FROM team_members WHERE user_id = $1)
+      ORDER BY v.owner_id = $1 DESC, v.name ASC
+    `,
+      [req.user.id],
+    )
+
+    // Counts run concurrently rather than one query after another
+    const views = await Promise.all(
+      result.rows.map(async (view) => ({ ...view, count: await countMatchingBuyers(req, view) })),
+    )
+
+    res.json({ views })
+  } catch (error) {
+    console.error("Get saved views error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/views/:id - Get a view with its live count of matching buyers
+router.get("/:id", async (req, res) => {
+  try {
+    const view = await findAccessibleView(req.params.id, req.user.id)
+    if (!view) {
+      return res.status(404).json({ error: "Saved view not found" })
+    }
+
+    res.json({ view: { ...view, count: await countMatchingBuyers(req, view) } })
+  } catch (error) {
+    console.error("Get saved view error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/views - Save a view
+router.post("/", async (req, res) => {
+  try {
+    const { name, filters, sortBy, sortOrder, teamId } = savedViewSchema.parse(req.body)
+
+    if (teamId && !(await canShareWithTeam(req, teamId))) {
+      return res.status(403).json({ error: "You can only share views with your own teams" })
+    }
+
+    const result = await pool.query(
+      `
+      INSERT INTO saved_views (name, owner_id, team_id, filters, sort_by, sort_order)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `,
+      [name, req.user.id, teamId, JSON.stringify(filters), sortBy, sortOrder],
+    )
+
+    const view = result.rows[0]
+
+    res.status(201).json({
+      message: "View saved successfully",
+      view: { ...view, count: await countMatchingBuyers(req, view) },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create saved view error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/views/:id - Replace a view (owner only)
+router.put("/:id", async (req, res) => {
+  try {
+    const { name, filters, sortBy, sortOrder, teamId } = savedViewSchema.parse(req.body)
+
+    const existing = await findAccessibleView(req.params.id, req.user.id)
+    if (!existing) {
+      return res.status(404).json({ error: "Saved view not found" })
+    }
+    if (existing.owner_id !== req.user.id) {
+      return res.status(403).json({ error: "Access denied. You can only edit your own views." })
+    }
+
+    if (teamId && teamId !== existing.team_id && !(await canShareWithTeam(req, teamId))) {
+      return res.status(403).json({ error: "You can only share views with your own teams" })
+    }
+
+    const result = await pool.query(
+      `
+      UPDATE saved_views 
+      SET name = $1, team_id = $2, filters = $3, sort_by = $4, sort_order = $5
+      WHERE id = $6
+      RETURNING *
+    `,
+      [name, teamId, JSON.stringify(filters), sortBy, sortOrder, existing.id],
+    )
+
+    const view = result.rows[0]
+
+    res.json({
+      message: "View updated successfully",
+      view: { ...view, count: await countMatchingBuyers(req, view) },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update saved view error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/views/:id - Delete a view (owner only)
+router.delete("/:id", async (req, res) => {
+  try {
+    const existing = await findAccessibleView(req.params.id, req.user.id)
+    if (!existing) {
+      return res.status(404).json({ error: "Saved view not found" })
+    }
+    if (existing.owner_id !== req.user.id) {
+      return res.status(403).json({ error: "Access denied. You can only delete your own views." })
+    }
+
+    await pool.query("DELETE FROM saved_views WHERE id = $1", [existing.id])
+
+    res.json({ message: "View deleted successfully" })
+  } catch (error) {
+    console.error("Delete saved view error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
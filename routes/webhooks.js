@@ -0,0 +1,236 @@
+const express = require("express")
+const crypto = require("crypto")
+const z = require("zod")
+const pool = require("../config/database")
+const { webhookSchema, webhookDeliveriesQuerySchema } = require("../utils/validation")
+const { checkWebhookUrl } = require("../utils/webhooks")
+
+const router = express.Router()
+
+// The secret itself is only returned on create and rotate
+const WEBHOOK_COLUMNS = "id, name, url, events, active, created_by, created_at, updated_at"
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(32).toString("base64url")}`
+}
+
+// GET /api/webhooks - List webhook subscriptions
+router.get("/", async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT ${WEBHOOK_COLUMNS} FROM webhooks ORDER BY created_at ASC`)
+    res.json({ webhooks: result.rows })
+  } catch (error) {
+    console.error("Get webhooks error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/webhooks - Subscribe a URL to buyer events
+router.post("/", async (req, res) => {
+  try {
+    const webhook = webhookSchema.parse(req.body)
+
+    const urlError = await checkWebhookUrl(webhook.url)
+    if (urlError) {
+      return res.status(400).json({ error: urlError })
+    }
+    const secret = generateSecret()
+
+    const result = await pool.query(
+      `
+      INSERT INTO webhooks (name, url, secret, events, active, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING ${WEBHOOK_COLUMNS}
+    `,
+      [webhook.name, webhook.url, secret, [...new Set(webhook.events)], webhook.active, req.user.id],
+    )
+
+    res.status(201).json({
+      message: "Webhook created. Store the signing secret now; it won't be shown again.",
+      webhook: { ...result.rows[0], secret },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Create webhook error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// PUT /api/webhooks/:id - Update a subscription
+router.put("/:id", async (req, res) => {
+  try {
+    const webhook = webhookSchema.parse(req.body)
+
+    const urlError = await checkWebhookUrl(webhook.url)
+    if (urlError) {
+      return res.status(400).json({ error: urlError })
+    }
+
+    const result = await pool.query(
+      `
+      UPDATE webhooks 
+      SET name = $1, url = $2, events = $3, active = $4
+      WHERE id = $5
+      RETURNING ${WEBHOOK_COLUMNS}
+    `,
+      [webhook.name, webhook.url, [...new Set(webhook.events)], webhook.active, req.params.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" })
+    }
+
+    res.json({
+      message: "Webhook updated successfully",
+      webhook: result.rows[0],
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Update webhook error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/webhooks/:id/rotate-secret - Replace the signing secret
+router.post("/:id/rotate-secret", async (req, res) => {
+  try {
+    const secret = generateSecret()
+    const result = await pool.query(`UPDATE webhooks SET secret = $1 WHERE id = $2 RETURNING ${WEBHOOK_COLUMNS}`, [
+      secret,
+      req.params.id,
+    ])
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" })
+    }
+
+    res.json({
+      message: "Signing secret rotated. Store it now; it won't be shown again.",
+      webhook: { ...result.rows[0], secret },
+    })
+  } catch (error) {
+    console.error("Rotate webhook secret error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// DELETE /api/webhooks/:id - Delete a subscription and its delivery log
+router.delete("/:id", async (req, res) => {
+  try {
+    const result = await pool.query("DELETE FROM webhooks WHERE id = $1 RETURNING id", [req.params.id])
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" })
+    }
+
+    res.json({ message: "Webhook deleted successfully" })
+  } catch (error) {
+    console.error("Delete webhook error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// GET /api/webhooks/:id/deliveries - Delivery log, newest first
+router.get("/:id/deliveries", async (req, res) => {
+  try {
+    const { status, event, page, limit } = webhookDeliveriesQuerySchema.parse(req.query)
+    const pageNumber = page || 1
+    const pageSize = limit || 20
+
+    const webhookResult = await pool.query("SELECT id FROM webhooks WHERE id = $1", [req.params.id])
+    if (webhookResult.rows.length === 0) {
+      return res.status(404).json({ error: "Webhook not found" })
+    }
+
+    let query = `
+      SELECT 
+        d.*,
+        COUNT(*) OVER() as total_count
+      FROM webhook_deliveries d
+      WHERE d.webhook_id = $1
+    `
+    const queryParams = [req.params.id]
+
+    if (status) {
+      queryParams.push(status)
+      query += ` AND d.status = $${queryParams.length}`
+    }
+
+    if (event) {
+      queryParams.push(event)
+      query += ` AND d.event = $${queryParams.length}`
+    }
+
+    queryParams.push(pageSize)
+    query += ` ORDER BY d.created_at DESC LIMIT $${queryParams.length}`
+
+    queryParams.push((pageNumber - 1) * pageSize)
+    query += ` OFFSET $${queryParams.length}`
+
+    const result = await pool.query(query, queryParams)
+
+    const totalCount = result.rows.length > 0 ? Number.parseInt(result.rows[0].total_count) : 0
+    const totalPages = Math.ceil(totalCount / pageSize)
+
+    res.json({
+      deliveries: result.rows.map(({ total_count, ...delivery }) => delivery),
+      pagination: {
+        page: pageNumber,
+        limit: pageSize,
+        totalCount,
+        totalPages,
+        hasNext: pageNumber < totalPages,
+        hasPrev: pageNumber > 1,
+      },
+    })
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        error: "Validation failed",
+        details: error.issues,
+      })
+    }
+    console.error("Get webhook deliveries error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+// POST /api/webhooks/:id/deliveries/:deliveryId/redeliver - Queue a delivery
+// again with the same payload. The original stays in the log untouched.
+router.post("/:id/deliveries/:deliveryId/redeliver", async (req, res) => {
+  try {
+    const result = await pool.query(
+      `
+      INSERT INTO webhook_deliveries (webhook_id, event, payload, redelivery_of)
+      SELECT webhook_id, event, payload, id
+      FROM webhook_deliveries
+      WHERE id = $1 AND webhook_id = $2
+      RETURNING *
+    `,
+      [req.params.deliveryId, req.params.id],
+    )
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: "Delivery not found" })
+    }
+
+    res.status(202).json({
+      message: "Delivery queued",
+      delivery: result.rows[0],
+    })
+  } catch (error) {
+    console.error("Redeliver webhook error:", error)
+    res.status(500).json({ error: "Internal server error" })
+  }
+})
+
+module.exports = router
@@ -0,0 +1,21 @@
+-- Create buyer_tasks table for follow-ups and reminders
+CREATE TABLE buyer_tasks (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    buyer_id UUID NOT NULL REFERENCES buyers(id) ON DELETE CASCADE,
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL CHECK (LENGTH(title) >= 1),
+    notes TEXT CHECK (LENGTH(notes) <= 1000),
+    due_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    completed_at TIMESTAMP WITH TIME ZONE,
+    completed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Create indexes for buyer_tasks
+CREATE INDEX idx_buyer_tasks_buyer_id ON buyer_tasks(buyer_id);
+CREATE INDEX idx_buyer_tasks_owner_due ON buyer_tasks(owner_id, due_at) WHERE completed_at IS NULL;
+
+CREATE TRIGGER update_buyer_tasks_updated_at 
+    BEFORE UPDATE ON buyer_tasks 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,7 @@
+-- Trigram matching for fuzzy name comparison
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Indexes used by duplicate detection
+CREATE INDEX idx_buyers_phone_normalized ON buyers(RIGHT(phone, 10));
+CREATE INDEX idx_buyers_email_lower ON buyers(LOWER(email));
+CREATE INDEX idx_buyers_full_name_trgm ON buyers USING gin(LOWER(full_name) gin_trgm_ops);
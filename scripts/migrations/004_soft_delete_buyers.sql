@@ -0,0 +1,6 @@
+-- Soft deletion for buyers so deleted leads keep their audit trail
+ALTER TABLE buyers
+    ADD COLUMN deleted_at TIMESTAMP WITH TIME ZONE,
+    ADD COLUMN deleted_by UUID REFERENCES users(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_buyers_deleted_at ON buyers(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,33 @@
+-- Create assignment_rules table for automatic lead routing
+CREATE TABLE assignment_rules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL CHECK (LENGTH(name) >= 2),
+    priority INTEGER NOT NULL DEFAULT 100,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    -- Conditions; an empty array or NULL matches anything
+    cities TEXT[] NOT NULL DEFAULT '{}',
+    property_types TEXT[] NOT NULL DEFAULT '{}',
+    purposes TEXT[] NOT NULL DEFAULT '{}',
+    budget_min INTEGER CHECK (budget_min >= 0),
+    budget_max INTEGER CHECK (budget_max >= 0),
+    -- Only route leads created by these users (e.g. shared intake accounts)
+    intake_user_ids UUID[] NOT NULL DEFAULT '{}',
+    -- Balancing among eligible agents
+    strategy VARCHAR(20) NOT NULL DEFAULT 'round_robin' CHECK (strategy IN ('round_robin', 'least_loaded')),
+    agent_ids UUID[] NOT NULL,
+    assignment_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT assignment_rules_budget_check CHECK (
+        (budget_min IS NULL OR budget_max IS NULL) OR 
+        (budget_max >= budget_min)
+    ),
+    CONSTRAINT assignment_rules_agents_check CHECK (cardinality(agent_ids) > 0)
+);
+
+CREATE INDEX idx_assignment_rules_priority ON assignment_rules(priority) WHERE active;
+
+CREATE TRIGGER update_assignment_rules_updated_at 
+    BEFORE UPDATE ON assignment_rules 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,12 @@
+-- Replace the user/admin roles with agent, team_lead, manager, auditor and admin
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_role_check;
+UPDATE users SET role = 'agent' WHERE role = 'user';
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'agent';
+ALTER TABLE users ADD CONSTRAINT users_role_check
+    CHECK (role IN ('agent', 'team_lead', 'manager', 'auditor', 'admin'));
+
+ALTER TABLE user_invites DROP CONSTRAINT IF EXISTS user_invites_role_check;
+UPDATE user_invites SET role = 'agent' WHERE role = 'user';
+ALTER TABLE user_invites ALTER COLUMN role SET DEFAULT 'agent';
+ALTER TABLE user_invites ADD CONSTRAINT user_invites_role_check
+    CHECK (role IN ('agent', 'team_lead', 'manager', 'auditor', 'admin'));
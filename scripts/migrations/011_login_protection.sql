@@ -0,0 +1,20 @@
+-- Per-account failed login tracking and temporary lockout
+ALTER TABLE users
+    ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN locked_until TIMESTAMP WITH TIME ZONE;
+
+-- Create auth_events table as an audit log of authentication activity
+CREATE TABLE auth_events (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    event_type VARCHAR(30) NOT NULL CHECK (event_type IN ('login_success', 'login_failure', 'login_blocked', 'lockout', 'unlock')),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    email VARCHAR(255),
+    ip_address VARCHAR(45),
+    user_agent VARCHAR(255),
+    details JSONB,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_auth_events_created_at ON auth_events(created_at DESC);
+CREATE INDEX idx_auth_events_user_id ON auth_events(user_id);
+CREATE INDEX idx_auth_events_ip_failures ON auth_events(ip_address, created_at) WHERE event_type = 'login_failure';
@@ -0,0 +1,17 @@
+-- Create lead_capture_sites table for public website forms. Each site has its
+-- own key (stored hashed) and a default owner that receives its leads.
+CREATE TABLE lead_capture_sites (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL CHECK (LENGTH(name) >= 2),
+    key_prefix VARCHAR(16) NOT NULL,
+    key_hash VARCHAR(64) UNIQUE NOT NULL,
+    allowed_origins TEXT[] NOT NULL DEFAULT '{}',
+    default_owner_id UUID NOT NULL REFERENCES users(id) ON DELETE RESTRICT,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_lead_capture_sites_updated_at 
+    BEFORE UPDATE ON lead_capture_sites 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
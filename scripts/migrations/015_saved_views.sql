@@ -0,0 +1,21 @@
+-- Create saved_views table: named filter and sort presets for the buyer
+-- list. Views without a team are private to their owner; views with a team
+-- are shared with its members.
+CREATE TABLE saved_views (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL CHECK (LENGTH(name) >= 1),
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    team_id UUID REFERENCES teams(id) ON DELETE SET NULL,
+    filters JSONB NOT NULL DEFAULT '{}',
+    sort_by VARCHAR(20) NOT NULL DEFAULT 'updatedAt',
+    sort_order VARCHAR(4) NOT NULL DEFAULT 'desc' CHECK (sort_order IN ('asc', 'desc')),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_saved_views_owner_id ON saved_views(owner_id);
+CREATE INDEX idx_saved_views_team_id ON saved_views(team_id);
+
+CREATE TRIGGER update_saved_views_updated_at 
+    BEFORE UPDATE ON saved_views 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,22 @@
+-- Create import_templates table: saved CSV column mappings (and defaults for
+-- blank cells) for recurring lead sources, shared across the organisation
+CREATE TABLE import_templates (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL CHECK (LENGTH(name) >= 2),
+    mapping JSONB NOT NULL,
+    defaults JSONB NOT NULL DEFAULT '{}',
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TRIGGER update_import_templates_updated_at 
+    BEFORE UPDATE ON import_templates 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Upserts report created, updated and unchanged rows separately;
+-- imported_rows stays the total accepted
+ALTER TABLE import_jobs 
+    ADD COLUMN created_rows INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN updated_rows INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN unchanged_rows INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,50 @@
+-- Create scheduled_reports table: recurring exports run by the in-process
+-- scheduler. Each report runs with its creator's visibility.
+CREATE TABLE scheduled_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(100) NOT NULL CHECK (LENGTH(name) >= 2),
+    created_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    cron_expression VARCHAR(100) NOT NULL,
+    timezone VARCHAR(64) NOT NULL DEFAULT 'UTC',
+    filters JSONB NOT NULL DEFAULT '{}',
+    columns TEXT[] NOT NULL DEFAULT '{}',
+    sort_by VARCHAR(20) NOT NULL DEFAULT 'updatedAt',
+    sort_order VARCHAR(4) NOT NULL DEFAULT 'desc',
+    format VARCHAR(10) NOT NULL DEFAULT 'csv' CHECK (format IN ('csv', 'xlsx', 'json', 'ndjson')),
+    recipients TEXT[] NOT NULL DEFAULT '{}',
+    webhook_id UUID REFERENCES webhooks(id) ON DELETE SET NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    next_run_at TIMESTAMP WITH TIME ZONE,
+    last_run_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_scheduled_reports_created_by ON scheduled_reports(created_by);
+CREATE INDEX idx_scheduled_reports_due ON scheduled_reports(next_run_at) WHERE active = TRUE;
+
+CREATE TRIGGER update_scheduled_reports_updated_at 
+    BEFORE UPDATE ON scheduled_reports 
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Create report_runs table: the run queue and history. Generated files are
+-- kept at file_path for download.
+CREATE TABLE report_runs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    report_id UUID NOT NULL REFERENCES scheduled_reports(id) ON DELETE CASCADE,
+    trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+    requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued' CHECK (status IN ('queued', 'running', 'succeeded', 'failed')),
+    format VARCHAR(10) NOT NULL,
+    row_count INTEGER,
+    file_path TEXT,
+    file_size BIGINT,
+    error TEXT,
+    delivery_error TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    started_at TIMESTAMP WITH TIME ZONE,
+    finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_report_runs_report_id ON report_runs(report_id, created_at DESC);
+CREATE INDEX idx_report_runs_queued ON report_runs(created_at) WHERE status = 'queued';
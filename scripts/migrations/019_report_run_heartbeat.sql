@@ -0,0 +1,4 @@
+-- Running report runs touch heartbeat_at as they write rows, so a run whose
+-- process died is noticed without waiting for a fixed timeout
+ALTER TABLE report_runs
+    ADD COLUMN heartbeat_at TIMESTAMP WITH TIME ZONE;
@@ -0,0 +1,5 @@
+-- Imports queued through an API key run with that key's scopes. The scopes
+-- are kept even if the key row goes away, so the job can't widen its access.
+ALTER TABLE import_jobs
+    ADD COLUMN api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    ADD COLUMN api_key_scopes TEXT[];
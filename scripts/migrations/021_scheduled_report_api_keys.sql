@@ -0,0 +1,5 @@
+-- Reports scheduled through an API key run with that key's scopes. The
+-- scopes are kept even if the key row goes away, so runs can't widen access.
+ALTER TABLE scheduled_reports
+    ADD COLUMN api_key_id UUID REFERENCES api_keys(id) ON DELETE SET NULL,
+    ADD COLUMN api_key_scopes TEXT[];
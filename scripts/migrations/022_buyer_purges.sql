@@ -0,0 +1,13 @@
+-- Create buyer_purges table: purging a buyer from the trash removes it and
+-- its history, so this keeps a record of who purged which buyer and when
+CREATE TABLE buyer_purges (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    buyer_id UUID NOT NULL,
+    owner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    deleted_at TIMESTAMP WITH TIME ZONE,
+    deleted_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    purged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    purged_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_buyer_purges_purged_at ON buyer_purges(purged_at DESC);
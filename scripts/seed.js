@@ -12,7 +12,7 @@ async function seedDatabase() {
       `
       INSERT INTO users (email, password_hash, role) 
       VALUES 
-        ('demo@example.com', $1, 'user'),
+        ('demo@example.com', $1, 'agent'),
         ('admin@example.com', $1, 'admin')
       ON CONFLICT (email) DO NOTHING
       RETURNING id, email, role
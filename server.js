@@ -6,8 +6,24 @@ require("dotenv").config()
 
 const authRoutes = require("./routes/auth")
 const buyerRoutes = require("./routes/buyers")
-const { authenticateToken } = require("./middleware/auth")
+const taskRoutes = require("./routes/tasks")
+const teamRoutes = require("./routes/teams")
+const assignmentRuleRoutes = require("./routes/assignmentRules")
+const analyticsRoutes = require("./routes/analytics")
+const adminRoutes = require("./routes/admin")
+const leadSiteRoutes = require("./routes/leadSites")
+const publicRoutes = require("./routes/public")
+const webhookRoutes = require("./routes/webhooks")
+const eventRoutes = require("./routes/events")
+const viewRoutes = require("./routes/views")
+const importRoutes = require("./routes/imports")
+const reportRoutes = require("./routes/reports")
+const { authenticateToken, requirePermission } = require("./middleware/auth")
 const pool = require("./config/database")
+const { startWebhookWorker } = require("./utils/webhooks")
+const { startRealtimeListener } = require("./utils/realtime")
+const { startImportWorker } = require("./utils/importJobs")
+const { startReportScheduler } = require("./utils/reports")
 const runMigrations = require("./scripts/migrate")
 const seedDatabase = require("./scripts/seed")
 
@@ -16,6 +32,11 @@ const PORT = process.env.PORT || 5000
 
 // Security middleware
 app.use(helmet())
+
+// Public website endpoints bring their own CORS policy and rate limit, so
+// they're mounted ahead of the app-wide ones
+app.use("/api/public", publicRoutes)
+
 app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:3000",
@@ -38,6 +59,17 @@ app.use(express.urlencoded({ extended: true }))
 // Routes
 app.use("/api/auth", authRoutes)
 app.use("/api/buyers", authenticateToken, buyerRoutes)
+app.use("/api/tasks", authenticateToken, taskRoutes)
+app.use("/api/events", eventRoutes)
+app.use("/api/views", authenticateToken, requirePermission("buyers.read"), viewRoutes)
+app.use("/api/imports", authenticateToken, requirePermission("buyers.import"), importRoutes)
+app.use("/api/reports", authenticateToken, requirePermission("reports.manage", "buyers.export"), reportRoutes)
+app.use("/api/teams", authenticateToken, teamRoutes)
+app.use("/api/assignment-rules", authenticateToken, requirePermission("assignment.manage"), assignmentRuleRoutes)
+app.use("/api/analytics", authenticateToken, requirePermission("analytics.view"), analyticsRoutes)
+app.use("/api/lead-sites", authenticateToken, requirePermission("leadSites.manage"), leadSiteRoutes)
+app.use("/api/webhooks", authenticateToken, requirePermission("webhooks.manage"), webhookRoutes)
+app.use("/api/admin", authenticateToken, requirePermission("users.manage"), adminRoutes)
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -58,5 +90,9 @@ app.listen(PORT, async() => {
   await pool.connect()
   await runMigrations()
   await seedDatabase()
+  startWebhookWorker()
+  startImportWorker()
+  startReportScheduler()
+  await startRealtimeListener()
   console.log(`Server running on port http://localhost:${PORT}`)
 })
@@ -0,0 +1,89 @@
+const pool = require("../config/database")
+
+// Statuses that no longer count towards an agent's workload
+const CLOSED_STATUSES = ["Converted", "Dropped"]
+
+// Find the highest-priority active rule matching a new lead. Budget
+// conditions match when the lead's budget range overlaps the rule's.
+async function findMatchingRule(buyer, createdBy, client = pool) {
+  const result = await client.query(
+    `
+    SELECT *
+    FROM assignment_rules
+    WHERE active
+      AND (cardinality(cities) = 0 OR $1 = ANY(cities))
+      AND (cardinality(property_types) = 0 OR $2 = ANY(property_types))
+      AND (cardinality(purposes) = 0 OR $3 = ANY(purposes))
+      AND (budget_min IS NULL OR $5::int IS NULL OR $5::int >= budget_min)
+      AND (budget_max IS NULL OR $4::int IS NULL OR $4::int <= budget_max)
+      AND (cardinality(intake_user_ids) = 0 OR $6::uuid = ANY(intake_user_ids))
+    ORDER BY priority ASC, created_at ASC
+    LIMIT 1
+  `,
+    [
+      buyer.city,
+      buyer.propertyType,
+      buyer.purpose,
+      buyer.budgetMin ?? null,
+      buyer.budgetMax ?? null,
+      createdBy,
+    ],
+  )
+
+  return result.rows[0] || null
+}
+
+// Pick the owner for a new lead. Returns null when no rule applies, in which
+// case the creator keeps the lead.
+async function assignOwner(buyer, createdBy, client = pool) {
+  const rule = await findMatchingRule(buyer, createdBy, client)
+  if (!rule) return null
+
+  // Skip agents whose accounts no longer exist or are deactivated, keeping the
+  // rule's order
+  const agentsResult = await client.query("SELECT id FROM users WHERE id = ANY($1::uuid[]) AND is_active = TRUE", [
+    rule.agent_ids,
+  ])
+  const existingIds = new Set(agentsResult.rows.map((row) => row.id))
+  const agentIds = rule.agent_ids.filter((id) => existingIds.has(id))
+  if (agentIds.length === 0) return null
+
+  // Bumping the counter atomically keeps round-robin fair across concurrent requests
+  const counterResult = await client.query(
+    "UPDATE assignment_rules SET assignment_count = assignment_count + 1 WHERE id = $1 RETURNING assignment_count",
+    [rule.id],
+  )
+  const turn = counterResult.rows[0].assignment_count - 1
+
+  let ownerId
+  if (rule.strategy === "least_loaded") {
+    const loadResult = await client.query(
+      `
+      SELECT owner_id, COUNT(*)::int as open_count
+      FROM buyers
+      WHERE owner_id = ANY($1::uuid[])
+        AND deleted_at IS NULL
+        AND status <> ALL($2::text[])
+      GROUP BY owner_id
+    `,
+      [agentIds, CLOSED_STATUSES],
+    )
+    const load = new Map(loadResult.rows.map((row) => [row.owner_id, row.open_count]))
+
+    // Ties are broken in round-robin order
+    const ordered = agentIds.map((_, index) => agentIds[(turn + index) % agentIds.length])
+    ownerId = ordered.reduce((best, id) => ((load.get(id) || 0) < (load.get(best) || 0) ? id : best))
+  } else {
+    ownerId = agentIds[turn % agentIds.length]
+  }
+
+  return {
+    ownerId,
+    rule: { id: rule.id, name: rule.name, strategy: rule.strategy },
+  }
+}
+
+module.exports = {
+  findMatchingRule,
+  assignOwner,
+}
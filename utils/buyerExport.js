@@ -0,0 +1,96 @@
+const Cursor = require("pg-cursor")
+const pool = require("../config/database")
+const { ownershipCondition } = require("../middleware/auth")
+const { buildFilterConditions, buildOrderBy } = require("./buyerFilters")
+const { createRecordWriter } = require("./fileFormats")
+
+// Rows fetched from the cursor at a time
+const EXPORT_BATCH_SIZE = 500
+
+// Exportable columns and the SQL that selects each
+const EXPORT_COLUMNS = {
+  id: "b.id",
+  fullName: "b.full_name",
+  email: "b.email",
+  phone: "b.phone",
+  city: "b.city",
+  propertyType: "b.property_type",
+  bhk: "b.bhk",
+  purpose: "b.purpose",
+  budgetMin: "b.budget_min",
+  budgetMax: "b.budget_max",
+  timeline: "b.timeline",
+  source: "b.source",
+  status: "b.status",
+  notes: "b.notes",
+  tags: "b.tags",
+  owner_email: "u.email",
+  createdAt: "b.created_at",
+  updatedAt: "b.updated_at",
+}
+
+// The import columns, so a default export can be imported again
+const DEFAULT_EXPORT_COLUMNS = [
+  "fullName",
+  "email",
+  "phone",
+  "city",
+  "propertyType",
+  "bhk",
+  "purpose",
+  "budgetMin",
+  "budgetMax",
+  "timeline",
+  "source",
+  "status",
+  "notes",
+  "tags",
+]
+
+// Stream the buyers `req.user` can see that match `filters` to `output`,
+// reading them from a cursor so the full result never sits in memory.
+// onProgress, if given, is awaited with the rows written so far after each
+// batch. Resolves with the number of rows written.
+async function streamBuyerExport(req, { filters, columns, format, output, onProgress }) {
+  const selected = columns.length > 0 ? columns : DEFAULT_EXPORT_COLUMNS
+
+  const queryParams = []
+  let query = `
+    SELECT ${selected.map((column) => `${EXPORT_COLUMNS[column]} as "${column}"`).join(", ")}
+    FROM buyers b
+    LEFT JOIN users u ON b.owner_id = u.id
+    WHERE b.deleted_at IS NULL
+  `
+  // Same scope, filters and sorting as the list endpoint
+  query += ownershipCondition(req, queryParams)
+  query += buildFilterConditions(filters, queryParams)
+  query += buildOrderBy(filters)
+
+  const writer = createRecordWriter(format, output, selected.map((column) => ({ id: column, title: column })))
+
+  const client = await pool.connect()
+  const cursor = client.query(new Cursor(query, queryParams))
+  let rowCount = 0
+
+  try {
+    let rows
+    while ((rows = await cursor.read(EXPORT_BATCH_SIZE)).length > 0) {
+      for (const row of rows) {
+        await writer.write(row)
+      }
+      rowCount += rows.length
+      if (onProgress) await onProgress(rowCount)
+    }
+    await writer.end()
+    return rowCount
+  } finally {
+    await cursor.close().catch(() => {})
+    client.release()
+  }
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  DEFAULT_EXPORT_COLUMNS,
+  streamBuyerExport,
+}
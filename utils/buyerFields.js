@@ -0,0 +1,39 @@
+// API field names mapped to buyers table columns
+const fieldMapping = {
+  fullName: "full_name",
+  email: "email",
+  phone: "phone",
+  city: "city",
+  propertyType: "property_type",
+  bhk: "bhk",
+  purpose: "purpose",
+  budgetMin: "budget_min",
+  budgetMax: "budget_max",
+  timeline: "timeline",
+  source: "source",
+  status: "status",
+  notes: "notes",
+  tags: "tags",
+}
+
+// Convert a buyers row to API field names, dropping nulls so the result can
+// be checked against buyerSchema
+function toBuyerFields(row) {
+  const fields = {}
+  for (const [key, dbField] of Object.entries(fieldMapping)) {
+    if (row[dbField] !== null && row[dbField] !== undefined) {
+      fields[key] = row[dbField]
+    }
+  }
+  return fields
+}
+
+function isSameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null)
+}
+
+module.exports = {
+  fieldMapping,
+  toBuyerFields,
+  isSameValue,
+}
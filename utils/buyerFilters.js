@@ -0,0 +1,69 @@
+// Build the WHERE conditions shared by every endpoint that accepts the
+// filtersSchema payload. Parameters are appended to `queryParams`, and the
+// returned SQL fragment is meant to follow an existing WHERE clause on
+// `buyers b`.
+function buildFilterConditions(filters, queryParams) {
+  const { city, propertyType, status, timeline, search, createdWithinDays, notUpdatedForDays } = filters
+  let conditions = ""
+
+  if (city) {
+    queryParams.push(city)
+    conditions += ` AND b.city = $${queryParams.length}`
+  }
+
+  if (propertyType) {
+    queryParams.push(propertyType)
+    conditions += ` AND b.property_type = $${queryParams.length}`
+  }
+
+  if (status) {
+    queryParams.push(status)
+    conditions += ` AND b.status = $${queryParams.length}`
+  }
+
+  if (timeline) {
+    queryParams.push(timeline)
+    conditions += ` AND b.timeline = $${queryParams.length}`
+  }
+
+  if (search) {
+    queryParams.push(`%${search}%`)
+    const param = `$${queryParams.length}`
+    conditions += ` AND (
+        b.full_name ILIKE ${param} OR 
+        b.phone ILIKE ${param} OR 
+        b.email ILIKE ${param} OR
+        to_tsvector('english', COALESCE(b.full_name, '') || ' ' || COALESCE(b.email, '') || ' ' || COALESCE(b.notes, '')) @@ plainto_tsquery('english', ${param})
+      )`
+  }
+
+  // Used by scheduled reports for "new" and "stale" leads
+  if (createdWithinDays) {
+    queryParams.push(createdWithinDays)
+    conditions += ` AND b.created_at >= CURRENT_TIMESTAMP - make_interval(days => $${queryParams.length})`
+  }
+
+  if (notUpdatedForDays) {
+    queryParams.push(notUpdatedForDays)
+    conditions += ` AND b.updated_at < CURRENT_TIMESTAMP - make_interval(days => $${queryParams.length})`
+  }
+
+  return conditions
+}
+
+const validSortColumns = {
+  updatedAt: "b.updated_at",
+  fullName: "b.full_name",
+  createdAt: "b.created_at",
+}
+
+function buildOrderBy({ sortBy, sortOrder }) {
+  const column = validSortColumns[sortBy] || validSortColumns.updatedAt
+  const direction = sortOrder === "asc" ? "ASC" : "DESC"
+  return ` ORDER BY ${column} ${direction}`
+}
+
+module.exports = {
+  buildFilterConditions,
+  buildOrderBy,
+}
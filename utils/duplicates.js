@@ -0,0 +1,112 @@
+const pool = require("../config/database")
+const { checkOwnership } = require("../middleware/auth")
+
+// Minimum trigram similarity for two names to be considered the same person
+const NAME_SIMILARITY_THRESHOLD = 0.6
+
+// Compare phones on their last 10 digits so country codes and leading zeros
+// (e.g. 919876543210 vs 09876543210) don't hide duplicates
+function normalizePhone(phone) {
+  if (!phone) return null
+  const digits = String(phone).replace(/\D/g, "")
+  return digits.length > 10 ? digits.slice(-10) : digits
+}
+
+function normalizeEmail(email) {
+  if (!email) return null
+  return String(email).trim().toLowerCase()
+}
+
+// Find existing buyers that look like the same lead: same normalized phone,
+// same email (case-insensitive), or a similar name in the same city
+async function findDuplicateCandidates(buyer, { excludeId = null, client = pool } = {}) {
+  const result = await client.query(
+    `
+    SELECT 
+      b.id,
+      b.full_name,
+      b.email,
+      b.phone,
+      b.city,
+      b.status,
+      b.owner_id,
+      b.updated_at,
+      ARRAY_REMOVE(ARRAY[
+        CASE WHEN RIGHT(b.phone, 10) = $1 THEN 'phone' END,
+        CASE WHEN $2::text IS NOT NULL AND LOWER(b.email) = $2 THEN 'email' END,
+        CASE WHEN b.city = $4 AND similarity(LOWER(b.full_name), LOWER($3)) >= $5 THEN 'name' END
+      ], NULL) as matched_on
+    FROM buyers b
+    WHERE (
+      RIGHT(b.phone, 10) = $1
+      OR ($2::text IS NOT NULL AND LOWER(b.email) = $2)
+      OR (b.city = $4 AND similarity(LOWER(b.full_name), LOWER($3)) >= $5)
+    )
+    AND b.deleted_at IS NULL
+    AND ($6::uuid IS NULL OR b.id <> $6)
+    ORDER BY b.updated_at DESC
+    LIMIT 10
+  `,
+    [
+      normalizePhone(buyer.phone),
+      normalizeEmail(buyer.email),
+      buyer.fullName,
+      buyer.city,
+      NAME_SIMILARITY_THRESHOLD,
+      excludeId,
+    ],
+  )
+
+  return result.rows
+}
+
+// Split candidates into the ones the caller can view and a count of the rest,
+// so a duplicate owned by someone else is still flagged without revealing it
+function scopeDuplicates(req, duplicates) {
+  const visible = duplicates.filter((duplicate) => checkOwnership(req, duplicate.owner_id, "view"))
+  return { duplicates: visible, hiddenCount: duplicates.length - visible.length }
+}
+
+// Buyers whose phone or email exactly matches, used as upsert keys by the
+// importer. Returns at most two rows; more than one match is ambiguous.
+async function findExactMatches(buyer, client = pool) {
+  const result = await client.query(
+    `
+    SELECT *
+    FROM buyers
+    WHERE deleted_at IS NULL
+      AND (RIGHT(phone, 10) = $1 OR ($2::text IS NOT NULL AND LOWER(email) = $2))
+    LIMIT 2
+  `,
+    [normalizePhone(buyer.phone), normalizeEmail(buyer.email)],
+  )
+  return result.rows
+}
+
+// Find a lead with the same phone or email created within the last `hours`,
+// used to drop repeated form submissions
+async function findRecentSubmission(buyer, hours, client = pool) {
+  const result = await client.query(
+    `
+    SELECT b.id
+    FROM buyers b
+    WHERE (RIGHT(b.phone, 10) = $1 OR ($2::text IS NOT NULL AND LOWER(b.email) = $2))
+      AND b.deleted_at IS NULL
+      AND b.created_at > CURRENT_TIMESTAMP - make_interval(hours => $3)
+    ORDER BY b.created_at DESC
+    LIMIT 1
+  `,
+    [normalizePhone(buyer.phone), normalizeEmail(buyer.email), hours],
+  )
+
+  return result.rows[0] || null
+}
+
+module.exports = {
+  normalizePhone,
+  normalizeEmail,
+  findDuplicateCandidates,
+  scopeDuplicates,
+  findExactMatches,
+  findRecentSubmission,
+}
@@ -0,0 +1,310 @@
+const path = require("path")
+const readline = require("readline")
+const { pipeline } = require("stream")
+const csv = require("csv-parser")
+const { createObjectCsvStringifier } = require("csv-writer")
+const ExcelJS = require("exceljs")
+const StreamArray = require("stream-json/streamers/StreamArray")
+
+// File formats buyers can be imported from and exported to
+const FILE_FORMATS = {
+  csv: {
+    contentType: "text/csv",
+    extensions: [".csv"],
+  },
+  xlsx: {
+    contentType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    extensions: [".xlsx"],
+  },
+  json: {
+    contentType: "application/json",
+    extensions: [".json"],
+  },
+  ndjson: {
+    contentType: "application/x-ndjson",
+    extensions: [".ndjson", ".jsonl"],
+  },
+}
+
+// Format of an uploaded file from its extension, falling back to its MIME
+// type. Returns null for anything else.
+function formatForFile(file) {
+  const extension = path.extname(file.originalname || "").toLowerCase()
+  const formats = Object.keys(FILE_FORMATS)
+  return (
+    formats.find((format) => FILE_FORMATS[format].extensions.includes(extension)) ||
+    formats.find((format) => FILE_FORMATS[format].contentType === file.mimetype) ||
+    null
+  )
+}
+
+// Export format from the Accept header. Returns null when the client accepts
+// none of them; a missing header or */* means CSV.
+function formatForRequest(req) {
+  const formats = Object.keys(FILE_FORMATS)
+  const contentType = req.accepts(formats.map((format) => FILE_FORMATS[format].contentType))
+  return formats.find((format) => FILE_FORMATS[format].contentType === contentType) || null
+}
+
+// Imports validate text the way it would appear in a CSV, so values from
+// spreadsheets and JSON are turned into the same strings
+function toText(value) {
+  if (value === null || value === undefined) return ""
+  if (value instanceof Date) return value.toISOString()
+  if (Array.isArray(value)) return value.map(toText).join(",")
+  if (typeof value === "object") {
+    // Excel rich text, hyperlinks and formulas
+    if (value.richText) return value.richText.map((part) => part.text).join("")
+    if ("result" in value) return toText(value.result)
+    if ("text" in value) return toText(value.text)
+    return JSON.stringify(value)
+  }
+  return String(value)
+}
+
+// Columns with a blank header are left out
+function toRecord(headers, values) {
+  return Object.fromEntries(headers.flatMap((header, index) => (header ? [[header, toText(values[index])]] : [])))
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === "object" && !Array.isArray(value)
+}
+
+async function* readCsvRecords(openFile, onHeaders) {
+  const parser = csv()
+  // pipeline() forwards read errors to the parser so iterating it fails
+  // instead of hanging
+  pipeline(openFile(), parser, () => {})
+  parser.on("headers", onHeaders)
+  yield* parser
+}
+
+// The first worksheet, with its first row as headers
+async function* readXlsxRecords(openFile, onHeaders) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookReader(openFile(), {
+    sharedStrings: "cache",
+    hyperlinks: "ignore",
+    styles: "ignore",
+    worksheets: "emit",
+  })
+
+  for await (const worksheet of workbook) {
+    let headers = null
+    for await (const row of worksheet) {
+      // row.values is 1-based and sparse: blank cells are holes, which
+      // Array.from turns into undefined
+      const values = Array.from(row.values.slice(1))
+      if (!headers) {
+        headers = values.map((value) => toText(value).trim())
+        onHeaders(headers.filter((header) => header !== ""))
+      } else if (values.some((value) => toText(value).trim() !== "")) {
+        yield toRecord(headers, values)
+      }
+    }
+    return
+  }
+}
+
+// Objects of a JSON array, parsed as the file is read
+async function* jsonObjects(fileStream) {
+  const parser = StreamArray.withParser()
+  pipeline(fileStream, parser, () => {})
+  const items = parser[Symbol.asyncIterator]()
+
+  for (;;) {
+    let item
+    try {
+      item = await items.next()
+    } catch (error) {
+      throw new Error(`File is not a valid JSON array: ${error.message}`)
+    }
+    if (item.done) return
+
+    const { key, value } = item.value
+    if (!isPlainObject(value)) {
+      throw new Error(`Item ${key + 1} is not a JSON object`)
+    }
+    yield value
+  }
+}
+
+// Objects of a file with one JSON object per line
+async function* ndjsonObjects(fileStream) {
+  const lines = readline.createInterface({ input: fileStream, crlfDelay: Infinity })
+  let lineNumber = 0
+
+  for await (const line of lines) {
+    lineNumber++
+    if (line.trim() === "") continue
+
+    let object
+    try {
+      object = JSON.parse(line)
+    } catch {
+      throw new Error(`Line ${lineNumber} is not valid JSON`)
+    }
+    if (!isPlainObject(object)) {
+      throw new Error(`Line ${lineNumber} is not a JSON object`)
+    }
+    yield object
+  }
+}
+
+// Objects have no header row, so the file is read twice: once to collect
+// every key used by any object as the headers, then for the records
+async function* readObjectRecords(openFile, onHeaders, readObjects) {
+  const keys = new Set()
+  for await (const object of readObjects(openFile())) {
+    for (const key of Object.keys(object)) keys.add(key)
+  }
+  const headers = [...keys]
+  onHeaders(headers)
+
+  for await (const object of readObjects(openFile())) {
+    yield toRecord(headers, headers.map((header) => object[header]))
+  }
+}
+
+const readers = {
+  csv: readCsvRecords,
+  xlsx: readXlsxRecords,
+  json: (openFile, onHeaders) => readObjectRecords(openFile, onHeaders, jsonObjects),
+  ndjson: (openFile, onHeaders) => readObjectRecords(openFile, onHeaders, ndjsonObjects),
+}
+
+// Read an uploaded file as records of { header: text }, the shape csv-parser
+// produces. openFile returns a new read stream of the file each time it is
+// called. onHeaders is called with the headers before the first record.
+function readRecords(openFile, format, onHeaders) {
+  return readers[format](openFile, onHeaders)
+}
+
+// Resolves once a stream's buffer has room again. Fails if the stream closes
+// first (e.g. the client disconnected).
+function waitForDrain(output) {
+  if (output.destroyed) {
+    return Promise.reject(new Error("Output closed before the export finished"))
+  }
+  if (!output.writableNeedDrain) return Promise.resolve()
+
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      output.off("close", onClose)
+      resolve()
+    }
+    const onClose = () => {
+      output.off("drain", onDrain)
+      reject(new Error("Output closed before the export finished"))
+    }
+    output.once("drain", onDrain)
+    output.once("close", onClose)
+  })
+}
+
+async function writeChunk(output, chunk) {
+  await waitForDrain(output)
+  output.write(chunk)
+}
+
+function endStream(output) {
+  return new Promise((resolve, reject) => {
+    output.once("error", reject)
+    output.end(resolve)
+  })
+}
+
+function textValue(value) {
+  if (value === null || value === undefined) return ""
+  if (value instanceof Date) return value.toISOString()
+  if (Array.isArray(value)) return value.join(",")
+  return value
+}
+
+// Writers stream records out one at a time. Columns are { id, title }; each
+// record is written with just those columns, in that order. Tags and other
+// arrays stay arrays in JSON and are comma-joined elsewhere.
+const writers = {
+  csv(output, columns) {
+    const stringifier = createObjectCsvStringifier({ header: columns })
+    let started = false
+
+    return {
+      async write(record) {
+        if (!started) {
+          started = true
+          await writeChunk(output, stringifier.getHeaderString())
+        }
+        const row = Object.fromEntries(columns.map(({ id }) => [id, textValue(record[id])]))
+        await writeChunk(output, stringifier.stringifyRecords([row]))
+      },
+      async end() {
+        if (!started) await writeChunk(output, stringifier.getHeaderString())
+        await endStream(output)
+      },
+    }
+  },
+
+  xlsx(output, columns) {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: output, useStyles: true, useSharedStrings: false })
+    const worksheet = workbook.addWorksheet("Buyers")
+    worksheet.columns = columns.map(({ id, title }) => ({ header: title, key: id }))
+
+    return {
+      async write(record) {
+        // The workbook writes to the output itself, so wait here instead
+        await waitForDrain(output)
+        const row = Object.fromEntries(
+          columns.map(({ id }) => {
+            const value = record[id]
+            return [id, Array.isArray(value) ? value.join(",") : value]
+          }),
+        )
+        worksheet.addRow(row).commit()
+      },
+      async end() {
+        worksheet.commit()
+        await workbook.commit()
+      },
+    }
+  },
+
+  json(output, columns) {
+    let count = 0
+
+    return {
+      async write(record) {
+        const object = Object.fromEntries(columns.map(({ id }) => [id, record[id] ?? null]))
+        await writeChunk(output, `${count++ === 0 ? "[\n" : ",\n"}${JSON.stringify(object)}`)
+      },
+      async end() {
+        await writeChunk(output, count === 0 ? "[]\n" : "\n]\n")
+        await endStream(output)
+      },
+    }
+  },
+
+  ndjson(output, columns) {
+    return {
+      async write(record) {
+        const object = Object.fromEntries(columns.map(({ id }) => [id, record[id] ?? null]))
+        await writeChunk(output, `${JSON.stringify(object)}\n`)
+      },
+      async end() {
+        await endStream(output)
+      },
+    }
+  },
+}
+
+function createRecordWriter(format, output, columns) {
+  return writers[format](output, columns)
+}
+
+module.exports = {
+  FILE_FORMATS,
+  formatForFile,
+  formatForRequest,
+  readRecords,
+  createRecordWriter,
+}
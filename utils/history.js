@@ -0,0 +1,63 @@
+const pool = require("../config/database")
+const { enqueueWebhookEvents } = require("./webhooks")
+const { notifyHistoryEntry } = require("./realtime")
+
+// Record a change in buyer_history, queue the webhook deliveries it triggers
+// and publish it to live event streams. Pass a transaction client to do all
+// of it as part of an open transaction.
+async function recordHistory(buyerId, changedBy, diff, client = pool) {
+  const result = await client.query(
+    "INSERT INTO buyer_history (buyer_id, changed_by, diff) VALUES ($1, $2, $3) RETURNING *",
+    [buyerId, changedBy, JSON.stringify(diff)],
+  )
+  await enqueueWebhookEvents(result.rows[0], client)
+  await notifyHistoryEntry(result.rows[0], client)
+}
+
+// History pages are keyed on (changed_at, id) so entries sharing a timestamp
+// are neither skipped nor repeated between pages. The cursor only carries the
+// last entry's id; its timestamp is looked up in SQL to keep full precision.
+function encodeCursor(entry) {
+  return Buffer.from(entry.id).toString("base64url")
+}
+
+function decodeCursor(cursor) {
+  const id = Buffer.from(cursor, "base64url").toString("utf8")
+  return /^[0-9a-f-]{36}$/i.test(id) ? id : null
+}
+
+// Rebuild a buyer's fields by replaying history entries in chronological
+// order. Creation entries provide the initial snapshot; every entry with a
+// `changes` map applies its `to` values on top.
+function replayHistory(entries) {
+  let state = null
+
+  for (const entry of entries) {
+    const diff = entry.diff || {}
+
+    // Entries carried over from a merged duplicate describe another record
+    if (diff.mergedFromBuyerId) continue
+
+    if ((diff.action === "created" || diff.action === "imported") && diff.data) {
+      state = { ...diff.data }
+      continue
+    }
+
+    if (state && diff.changes) {
+      for (const [field, change] of Object.entries(diff.changes)) {
+        if (change && typeof change === "object" && "to" in change) {
+          state[field] = change.to
+        }
+      }
+    }
+  }
+
+  return state
+}
+
+module.exports = {
+  recordHistory,
+  encodeCursor,
+  decodeCursor,
+  replayHistory,
+}
@@ -0,0 +1,668 @@
+const fs = require("fs")
+const path = require("path")
+const crypto = require("crypto")
+const { createObjectCsvStringifier } = require("csv-writer")
+const z = require("zod")
+const pool = require("../config/database")
+const importConfig = require("../config/imports")
+const { csvRowSchema } = require("./validation")
+const { recordHistory } = require("./history")
+const { checkStatusTransition } = require("./statusPipeline")
+const { assignOwner } = require("./assignment")
+const {
+  findDuplicateCandidates,
+  scopeDuplicates,
+  findExactMatches,
+  normalizePhone,
+  normalizeEmail,
+} = require("./duplicates")
+const { fieldMapping, toBuyerFields, isSameValue } = require("./buyerFields")
+const { mapImportRow, suggestMapping } = require("./importMapping")
+const { readRecords } = require("./fileFormats")
+const { checkOwnership, hasPermission, loadVisibleUserIds } = require("../middleware/auth")
+
+const POLL_INTERVAL_MS = 3000
+
+// Running jobs that stop reporting progress for this long belonged to a
+// process that died; they are marked failed rather than resumed, since a
+// partial import can't safely be replayed
+const STALE_JOB_MINUTES = 5
+
+// How often expired rejected-row reports are looked for
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000
+
+const BUYER_COLUMNS = [
+  "id",
+  "full_name",
+  "email",
+  "phone",
+  "city",
+  "property_type",
+  "bhk",
+  "purpose",
+  "budget_min",
+  "budget_max",
+  "timeline",
+  "source",
+  "status",
+  "notes",
+  "tags",
+  "owner_id",
+]
+
+// Validate mapped buyer fields. Returns { row } with the parsed buyer, or
+// { errors }.
+function parseImportRow(values) {
+  try {
+    const row = csvRowSchema.parse({ ...values, tags: values.tags || "" })
+    return { row }
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return { errors: error.issues.map((issue) => `${issue.path.join(".")}: ${issue.message}`) }
+    }
+    throw error
+  }
+}
+
+// Per-import state shared by every row: options, the importer (shaped like
+// `req` so checkOwnership can be used) and the keys already seen in the file
+function createImportContext(options, user) {
+  return {
+    mapping: options.mapping || null,
+    defaults: options.defaults || {},
+    upsert: Boolean(options.upsert),
+    allowDuplicates: Boolean(options.allowDuplicates),
+    importer: { user },
+    seenPhones: new Map(),
+    seenEmails: new Map(),
+  }
+}
+
+// Decide what to do with one imported row: returns { entry } to create or update
+// a buyer, or { errors } to reject the row
+async function evaluateImportRow(raw, rowNumber, context) {
+  const values = mapImportRow(raw, context.mapping)
+
+  let existing = null
+  if (context.upsert && (values.phone || values.email)) {
+    const matches = await findExactMatches(values)
+    // Ids are only given for buyers the importer can view
+    if (matches.length > 1) {
+      const { duplicates } = scopeDuplicates(context.importer, matches)
+      const ids = duplicates.length === matches.length ? `: ${matches.map((match) => match.id).join(", ")}` : ""
+      return { errors: [`Matches more than one existing buyer${ids}`] }
+    }
+    existing = matches[0] || null
+
+    if (existing && !checkOwnership(context.importer, existing.owner_id)) {
+      return { errors: ["Matches an existing buyer you are not allowed to edit"] }
+    }
+  }
+
+  // Updates are validated as the full record they would produce; defaults
+  // only fill in new buyers
+  const parsed = existing
+    ? parseImportRow({ ...toBuyerFields(existing), tags: (existing.tags || []).join(","), ...values })
+    : parseImportRow({ ...context.defaults, ...values })
+  if (parsed.errors) {
+    return { errors: parsed.errors }
+  }
+
+  const { row } = parsed
+  const transitionError = existing
+    ? values.status && checkStatusTransition(existing.status, row.status)
+    : checkStatusTransition(null, row.status)
+  if (transitionError) {
+    return { errors: [`status: ${transitionError.error}. Allowed: ${transitionError.allowedStatuses.join(", ")}`] }
+  }
+
+  // The same lead twice in one file is always a mistake, even when upserting
+  const phoneKey = normalizePhone(row.phone)
+  const emailKey = normalizeEmail(row.email)
+  const earlierRow = context.seenPhones.get(phoneKey) || (emailKey && context.seenEmails.get(emailKey))
+  if (earlierRow) {
+    return { errors: [`Duplicate of row ${earlierRow} in this file`] }
+  }
+  context.seenPhones.set(phoneKey, rowNumber)
+  if (emailKey) context.seenEmails.set(emailKey, rowNumber)
+
+  if (!existing && !context.allowDuplicates) {
+    const candidates = await findDuplicateCandidates(row)
+    if (candidates.length > 0) {
+      const { duplicates, hiddenCount } = scopeDuplicates(context.importer, candidates)
+      const matches = duplicates.map((d) => d.id)
+      if (hiddenCount > 0) matches.push(`${hiddenCount} buyer(s) you cannot view`)
+      return { errors: [`Possible duplicate of existing buyer(s): ${matches.join(", ")}`] }
+    }
+  }
+
+  return { entry: { rowNumber, raw, row, existing, provided: Object.keys(values) } }
+}
+
+// Insert new buyers with a single statement, then record their history. Ids
+// are generated up front so history entries don't depend on RETURNING order.
+async function insertRows(client, entries, job) {
+  if (entries.length === 0) return
+
+  const values = []
+  const placeholders = []
+
+  for (const entry of entries) {
+    const { row } = entry
+    entry.id = crypto.randomUUID()
+    entry.assignment = await assignOwner(row, job.created_by, client)
+
+    const rowValues = [
+      entry.id,
+      row.fullName,
+      row.email || null,
+      row.phone,
+      row.city,
+      row.propertyType,
+      row.bhk || null,
+      row.purpose,
+      row.budgetMin || null,
+      row.budgetMax || null,
+      row.timeline,
+      row.source,
+      row.status || "New",
+      row.notes || null,
+      row.tags || [],
+      entry.assignment ? entry.assignment.ownerId : job.created_by,
+    ]
+    placeholders.push(`(${rowValues.map((_, index) => `$${values.length + index + 1}`).join(", ")})`)
+    values.push(...rowValues)
+  }
+
+  await client.query(`INSERT INTO buyers (${BUYER_COLUMNS.join(", ")}) VALUES ${placeholders.join(", ")}`, values)
+
+  for (const entry of entries) {
+    const { id, row, assignment } = entry
+    await recordHistory(
+      id,
+      job.created_by,
+      {
+        action: "imported",
+        data: row,
+        importJobId: job.id,
+        ...(assignment && { assignment: { ...assignment.rule, ownerId: assignment.ownerId } }),
+      },
+      client,
+    )
+    entry.result = "created"
+  }
+}
+
+// Apply the fields a row provided to its matching buyer, re-reading the
+// buyer under lock in case it changed since the row was evaluated
+async function updateRow(client, entry, job) {
+  const currentResult = await client.query("SELECT * FROM buyers WHERE id = $1 AND deleted_at IS NULL FOR UPDATE", [
+    entry.existing.id,
+  ])
+  const current = currentResult.rows[0]
+  if (!current) {
+    throw new Error(`Buyer ${entry.existing.id} was deleted during the import`)
+  }
+
+  // The phone or email the row was matched on may be formatted differently
+  // ("+91 98765-43210"); that alone isn't a change
+  const sameKey = {
+    phone: (from, to) => normalizePhone(from) === normalizePhone(to),
+    email: (from, to) => normalizeEmail(from) === normalizeEmail(to),
+  }
+
+  const changes = {}
+  for (const key of entry.provided) {
+    const value = entry.row[key]
+    if (sameKey[key] && sameKey[key](current[fieldMapping[key]], value)) continue
+    if (!isSameValue(current[fieldMapping[key]], value)) {
+      changes[key] = { from: current[fieldMapping[key]], to: value }
+    }
+  }
+
+  if (changes.status) {
+    const transitionError = checkStatusTransition(current.status, changes.status.to)
+    if (transitionError) {
+      throw new Error(`status: ${transitionError.error}`)
+    }
+  }
+
+  const keys = Object.keys(changes)
+  if (keys.length === 0) {
+    entry.result = "unchanged"
+    return
+  }
+
+  await client.query(
+    `
+    UPDATE buyers
+    SET ${keys.map((key, index) => `${fieldMapping[key]} = $${index + 1}`).join(", ")}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${keys.length + 1}
+  `,
+    [...keys.map((key) => changes[key].to), current.id],
+  )
+
+  await recordHistory(current.id, job.created_by, { action: "updated", changes, importJobId: job.id }, client)
+  entry.result = "updated"
+}
+
+async function applyEntries(client, entries, job) {
+  await insertRows(
+    client,
+    entries.filter((entry) => !entry.existing),
+    job,
+  )
+  for (const entry of entries.filter((entry) => entry.existing)) {
+    await updateRow(client, entry, job)
+  }
+}
+
+// Import a batch inside the caller's transaction. If the batch fails, it is
+// retried row by row so only the offending rows are rejected.
+async function importBatch(client, entries, job) {
+  await client.query("SAVEPOINT import_batch")
+  try {
+    await applyEntries(client, entries, job)
+    await client.query("RELEASE SAVEPOINT import_batch")
+    return { applied: entries, rejected: [] }
+  } catch (error) {
+    await client.query("ROLLBACK TO SAVEPOINT import_batch")
+    await client.query("RELEASE SAVEPOINT import_batch")
+  }
+
+  const applied = []
+  const rejected = []
+
+  for (const entry of entries) {
+    await client.query("SAVEPOINT import_row")
+    try {
+      await applyEntries(client, [entry], job)
+      await client.query("RELEASE SAVEPOINT import_row")
+      applied.push(entry)
+    } catch (error) {
+      await client.query("ROLLBACK TO SAVEPOINT import_row")
+      await client.query("RELEASE SAVEPOINT import_row")
+      // Postgres errors carry a SQLSTATE code; the rest are our own checks
+      const reason = error.code ? `Database rejected row: ${error.message}` : error.message
+      rejected.push({ ...entry, errors: [reason] })
+    }
+  }
+
+  return { applied, rejected }
+}
+
+// CSV of rejected rows: the original columns plus the row number and
+// reasons. Created on the first rejection.
+function createRejectedRowsReport(job) {
+  const filePath = path.join(importConfig.storageDir, `${job.id}-errors.csv`)
+  let stream = null
+  let stringifier = null
+
+  return {
+    filePath,
+    write(entries, headers) {
+      if (entries.length === 0) return
+      if (!stream) {
+        stringifier = createObjectCsvStringifier({
+          header: [
+            { id: "row", title: "row" },
+            { id: "errors", title: "errors" },
+            ...headers.map((header) => ({ id: header, title: header })),
+          ],
+        })
+        stream = fs.createWriteStream(filePath)
+        stream.write(stringifier.getHeaderString())
+      }
+      stream.write(
+        stringifier.stringifyRecords(
+          entries.map((entry) => ({ ...entry.raw, row: entry.rowNumber, errors: entry.errors.join("; ") })),
+        ),
+      )
+    },
+    hasRows() {
+      return stream !== null
+    },
+    close() {
+      if (!stream) return Promise.resolve()
+      return new Promise((resolve) => stream.end(resolve))
+    },
+  }
+}
+
+// First rows of an uploaded file, for previews
+async function readImportSample(filePath, format, limit) {
+  const fileStreams = []
+  const openFile = () => {
+    const fileStream = fs.createReadStream(filePath)
+    fileStreams.push(fileStream)
+    return fileStream
+  }
+  let headers = []
+  const rows = []
+
+  try {
+    const records = readRecords(openFile, format, (parsedHeaders) => {
+      headers = parsedHeaders
+    })
+    for await (const raw of records) {
+      rows.push(raw)
+      if (rows.length >= limit) break
+    }
+  } finally {
+    for (const fileStream of fileStreams) fileStream.destroy()
+  }
+
+  return { headers, rows }
+}
+
+// The user a job runs as, in the shape checkOwnership expects. Jobs queued
+// through an API key keep that key's scopes and stop once it is revoked or
+// expires, as does any job once its user is deactivated.
+async function loadImporter(job) {
+  const result = await pool.query(
+    `
+    SELECT 
+      u.id,
+      u.email,
+      u.role,
+      u.is_active,
+      EXISTS (
+        SELECT 1 FROM api_keys k
+        WHERE k.id = $2 AND k.user_id = u.id AND k.revoked_at IS NULL 
+          AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+      ) as api_key_active
+    FROM users u
+    WHERE u.id = $1
+  `,
+    [job.created_by, job.api_key_id],
+  )
+  if (result.rows.length === 0) {
+    throw new Error("The user who started this import no longer exists")
+  }
+
+  const { is_active, api_key_active, ...user } = result.rows[0]
+  if (!is_active) {
+    throw new Error("The user who started this import has been deactivated")
+  }
+  if (job.api_key_scopes && !api_key_active) {
+    throw new Error("The API key that started this import has been revoked or has expired")
+  }
+
+  const importer = job.api_key_scopes ? { ...user, apiKeyId: job.api_key_id, apiKeyScopes: job.api_key_scopes } : user
+  if (!hasPermission(importer, "buyers.import")) {
+    throw new Error("The user who started this import can no longer import buyers")
+  }
+
+  return { ...importer, visibleUserIds: await loadVisibleUserIds(user.id) }
+}
+
+// Stream the uploaded file through mapping, validation and batched writes.
+// In "partial" mode each batch commits on its own and bad rows are skipped;
+// in "atomic" mode the whole file is one transaction that only commits if
+// every row is valid. A dry run does the work batch by batch and rolls each
+// one back, so buyers are never locked for the whole file, and reports what
+// would have happened.
+async function runImportJob(job) {
+  const options = job.options || {}
+  const atomic = options.mode === "atomic"
+  const dryRun = Boolean(options.dryRun)
+  const singleTransaction = atomic && !dryRun
+
+  const client = await pool.connect()
+  const report = createRejectedRowsReport(job)
+  // Some formats read the file twice; progress follows the current pass
+  let fileStream = null
+  const openFile = () => {
+    fileStream = fs.createReadStream(job.file_path)
+    return fileStream
+  }
+
+  let context = null
+  let headers = []
+  let batch = []
+  const counts = { processed: 0, created: 0, updated: 0, unchanged: 0, rejected: 0 }
+
+  const reject = (entries) => {
+    counts.rejected += entries.length
+    report.write(entries, headers)
+  }
+
+  const updateProgress = () =>
+    pool.query(
+      `
+      UPDATE import_jobs
+      SET processed_rows = $2, imported_rows = $3, rejected_rows = $4, bytes_processed = $5,
+          created_rows = $6, updated_rows = $7, unchanged_rows = $8, heartbeat_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `,
+      [
+        job.id,
+        counts.processed,
+        counts.created + counts.updated + counts.unchanged,
+        counts.rejected,
+        fileStream ? fileStream.bytesRead : 0,
+        counts.created,
+        counts.updated,
+        counts.unchanged,
+      ],
+    )
+
+  const flush = async () => {
+    // Once an atomic import has a bad row nothing will be committed, so
+    // the remaining rows are only validated
+    if (batch.length > 0 && !(singleTransaction && counts.rejected > 0)) {
+      if (!singleTransaction) await client.query("BEGIN")
+      const result = await importBatch(client, batch, job)
+      if (!singleTransaction) await client.query(dryRun ? "ROLLBACK" : "COMMIT")
+
+      for (const entry of result.applied) {
+        counts[entry.result]++
+      }
+      reject(result.rejected)
+    }
+    batch = []
+    await updateProgress()
+  }
+
+  try {
+    context = createImportContext(options, await loadImporter(job))
+
+    if (singleTransaction) await client.query("BEGIN")
+
+    // Jobs queued before other formats were supported have none set
+    const records = readRecords(openFile, options.format || "csv", (parsedHeaders) => {
+      headers = parsedHeaders
+      // Without an explicit mapping, recognise the columns by name
+      context.mapping = context.mapping || suggestMapping(parsedHeaders)
+    })
+
+    for await (const raw of records) {
+      counts.processed++
+      const rowNumber = counts.processed
+
+      const evaluated = await evaluateImportRow(raw, rowNumber, context)
+      if (evaluated.errors) {
+        reject([{ rowNumber, raw, errors: evaluated.errors }])
+      } else {
+        batch.push(evaluated.entry)
+      }
+
+      if (batch.length >= importConfig.batchSize || counts.processed % importConfig.batchSize === 0) {
+        await flush()
+      }
+    }
+
+    await flush()
+
+    let status = "completed"
+    let error = null
+
+    if (counts.processed === 0) {
+      status = "failed"
+      error = "File has no rows"
+    }
+
+    if (dryRun) {
+      if (atomic && counts.rejected > 0) {
+        error = `${counts.rejected} row(s) would be rejected, so an atomic import would import nothing`
+      }
+    } else if (atomic) {
+      if (counts.rejected > 0) {
+        await client.query("ROLLBACK")
+        counts.created = counts.updated = counts.unchanged = 0
+        status = "failed"
+        error = `${counts.rejected} row(s) were rejected, so nothing was imported`
+      } else {
+        await client.query("COMMIT")
+      }
+    }
+
+    await report.close()
+    await pool.query(
+      `
+      UPDATE import_jobs
+      SET status = $2, error = $3, processed_rows = $4, imported_rows = $5, rejected_rows = $6,
+          created_rows = $7, updated_rows = $8, unchanged_rows = $9,
+          bytes_processed = file_size, error_file_path = $10, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `,
+      [
+        job.id,
+        status,
+        error,
+        counts.processed,
+        counts.created + counts.updated + counts.unchanged,
+        counts.rejected,
+        counts.created,
+        counts.updated,
+        counts.unchanged,
+        report.hasRows() ? report.filePath : null,
+      ],
+    )
+  } catch (error) {
+    // Only ever inside a transaction here when it's still open
+    await client.query("ROLLBACK").catch(() => {})
+    await report.close()
+
+    console.error("Import job error:", error)
+    await pool.query(
+      `
+      UPDATE import_jobs
+      SET status = 'failed', error = $2, error_file_path = $3, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `,
+      [job.id, `Import failed: ${error.message}`, report.hasRows() ? report.filePath : null],
+    )
+  } finally {
+    client.release()
+    if (fileStream) fileStream.destroy()
+    fs.promises.unlink(job.file_path).catch((error) => {
+      console.error("Error deleting import upload:", error)
+    })
+  }
+}
+
+// Claim the oldest queued job. SKIP LOCKED keeps two processes from
+// running the same job.
+async function claimNextJob() {
+  const staleResult = await pool.query(
+    `
+    UPDATE import_jobs
+    SET status = 'failed', error = 'Import was interrupted before it finished', finished_at = CURRENT_TIMESTAMP
+    WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+    RETURNING id, file_path
+  `,
+    [STALE_JOB_MINUTES],
+  )
+
+  // Nothing will read the upload or the unfinished report again
+  for (const staleJob of staleResult.rows) {
+    removeFile(staleJob.file_path)
+    removeFile(path.join(importConfig.storageDir, `${staleJob.id}-errors.csv`))
+  }
+
+  const result = await pool.query(`
+    UPDATE import_jobs
+    SET status = 'running', started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM import_jobs
+      WHERE status = 'queued'
+      ORDER BY created_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `)
+  return result.rows[0] || null
+}
+
+function removeFile(filePath) {
+  fs.promises.unlink(filePath).catch((error) => {
+    if (error.code !== "ENOENT") console.error("Error deleting import file:", error)
+  })
+}
+
+// Delete rejected-row reports of imports that finished longer ago than the
+// retention period
+async function removeExpiredErrorReports() {
+  const result = await pool.query(
+    `
+    WITH expired AS (
+      SELECT id, error_file_path
+      FROM import_jobs
+      WHERE error_file_path IS NOT NULL 
+        AND finished_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE import_jobs j
+    SET error_file_path = NULL
+    FROM expired e
+    WHERE j.id = e.id
+    RETURNING e.error_file_path
+  `,
+    [importConfig.errorReportRetentionDays],
+  )
+
+  for (const row of result.rows) {
+    removeFile(row.error_file_path)
+  }
+}
+
+let workerTimer = null
+let workerRunning = false
+let lastCleanupAt = 0
+
+// Run queued jobs one at a time until the queue is empty
+async function processImportQueue() {
+  if (workerRunning) return
+  workerRunning = true
+  try {
+    if (Date.now() - lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+      lastCleanupAt = Date.now()
+      await removeExpiredErrorReports()
+    }
+
+    let job
+    while ((job = await claimNextJob())) {
+      await runImportJob(job)
+    }
+  } catch (error) {
+    console.error("Import worker error:", error)
+  } finally {
+    workerRunning = false
+  }
+}
+
+function startImportWorker() {
+  if (workerTimer) return
+  workerTimer = setInterval(processImportQueue, POLL_INTERVAL_MS)
+  workerTimer.unref()
+}
+
+module.exports = {
+  createImportContext,
+  evaluateImportRow,
+  readImportSample,
+  processImportQueue,
+  startImportWorker,
+}
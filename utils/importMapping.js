@@ -0,0 +1,198 @@
+// Mapping of arbitrary CSV headers (lead portal exports, spreadsheets) onto
+// buyer fields, and normalization of the loosely formatted values they hold
+
+const IMPORT_FIELDS = [
+  "fullName",
+  "email",
+  "phone",
+  "city",
+  "propertyType",
+  "bhk",
+  "purpose",
+  "budgetMin",
+  "budgetMax",
+  "timeline",
+  "source",
+  "status",
+  "notes",
+  "tags",
+]
+
+// Fields a new buyer can't be created without (status defaults to New)
+const REQUIRED_FIELDS = ["fullName", "phone", "city", "propertyType", "purpose", "timeline", "source"]
+
+// Header spellings recognised for each field, compared after lowercasing and
+// dropping everything but letters and digits
+const headerAliases = {
+  fullName: ["fullname", "name", "customername", "clientname", "leadname", "buyername", "contactname"],
+  email: ["email", "emailid", "emailaddress", "mail"],
+  phone: ["phone", "phonenumber", "phoneno", "mobile", "mobileno", "mobilenumber", "contactnumber", "whatsapp"],
+  city: ["city", "location", "town"],
+  propertyType: ["propertytype", "type", "property", "category"],
+  bhk: ["bhk", "bedrooms", "configuration", "config", "rooms"],
+  purpose: ["purpose", "intent", "requirement", "lookingfor", "buyorrent", "transactiontype"],
+  budgetMin: ["budgetmin", "minbudget", "budgetfrom", "minprice"],
+  budgetMax: ["budgetmax", "maxbudget", "budgetto", "maxprice", "budget"],
+  timeline: ["timeline", "timeframe", "purchasetimeline"],
+  source: ["source", "leadsource", "channel"],
+  status: ["status", "leadstatus", "stage"],
+  notes: ["notes", "note", "comments", "comment", "remarks", "message", "description"],
+  tags: ["tags", "labels"],
+}
+
+// Known values per enum field, keyed by their simplified form
+const valueAliases = {
+  city: {
+    chandigarh: "Chandigarh",
+    chd: "Chandigarh",
+    mohali: "Mohali",
+    sasnagar: "Mohali",
+    zirakpur: "Zirakpur",
+    zkp: "Zirakpur",
+    panchkula: "Panchkula",
+    pkl: "Panchkula",
+    other: "Other",
+  },
+  propertyType: {
+    apartment: "Apartment",
+    flat: "Apartment",
+    villa: "Villa",
+    house: "Villa",
+    independenthouse: "Villa",
+    kothi: "Villa",
+    plot: "Plot",
+    land: "Plot",
+    office: "Office",
+    retail: "Retail",
+    shop: "Retail",
+    showroom: "Retail",
+  },
+  purpose: {
+    buy: "Buy",
+    purchase: "Buy",
+    sale: "Buy",
+    rent: "Rent",
+    lease: "Rent",
+  },
+  timeline: {
+    "03m": "0-3m",
+    "03months": "0-3m",
+    immediate: "0-3m",
+    immediately: "0-3m",
+    "36m": "3-6m",
+    "36months": "3-6m",
+    "6m": ">6m",
+    "6months": ">6m",
+    morethan6months: ">6m",
+    exploring: "Exploring",
+    justexploring: "Exploring",
+  },
+  source: {
+    website: "Website",
+    web: "Website",
+    referral: "Referral",
+    walkin: "Walk-in",
+    call: "Call",
+    phone: "Call",
+    other: "Other",
+  },
+  status: {
+    new: "New",
+    qualified: "Qualified",
+    contacted: "Contacted",
+    visited: "Visited",
+    negotiation: "Negotiation",
+    converted: "Converted",
+    dropped: "Dropped",
+  },
+}
+
+function simplify(value) {
+  return String(value)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "")
+}
+
+// Suggest a { header: field } mapping from the file's headers. Each field is
+// claimed by the first header that matches it.
+function suggestMapping(headers) {
+  const mapping = {}
+  const claimed = new Set()
+
+  for (const header of headers) {
+    const key = simplify(header)
+    const field = IMPORT_FIELDS.find((candidate) => !claimed.has(candidate) && headerAliases[candidate].includes(key))
+    if (field) {
+      mapping[header] = field
+      claimed.add(field)
+    }
+  }
+
+  return mapping
+}
+
+// "2 BHK", "2bhk" and "2" become "2"; "1 RK" is a studio; anything above 4
+// bedrooms is filed under "4"
+function normalizeBhk(value) {
+  const key = simplify(value)
+  if (key === "studio" || key === "1rk" || key === "rk") return "Studio"
+
+  const bedrooms = key.match(/^(\d+)(bhk|bedrooms?|beds?)?$/)
+  if (!bedrooms) return value
+  return String(Math.min(Number.parseInt(bedrooms[1]), 4))
+}
+
+// "50,00,000", "50 lakh", "50L", "1.2 cr" and "750k" become whole rupees
+function normalizeBudget(value) {
+  const match = String(value)
+    .toLowerCase()
+    .replace(/[₹,\s]|rs\.?|inr/g, "")
+    .match(/^(\d+(?:\.\d+)?)(lakhs?|lacs?|l|crores?|cr|k)?$/)
+  if (!match) return value
+
+  const multipliers = { l: 1e5, lakh: 1e5, lakhs: 1e5, lac: 1e5, lacs: 1e5, cr: 1e7, crore: 1e7, crores: 1e7, k: 1e3 }
+  return Math.round(Number.parseFloat(match[1]) * (multipliers[match[2]] || 1))
+}
+
+// Normalize one mapped value. Values that can't be recognised are returned
+// unchanged so validation reports them.
+function normalizeImportValue(field, value) {
+  const trimmed = value.trim()
+
+  switch (field) {
+    case "phone":
+      return trimmed.replace(/\D/g, "")
+    case "email":
+      return trimmed.toLowerCase()
+    case "bhk":
+      return normalizeBhk(trimmed)
+    case "budgetMin":
+    case "budgetMax":
+      return normalizeBudget(trimmed)
+    default:
+      if (valueAliases[field]) {
+        return valueAliases[field][simplify(trimmed)] || trimmed
+      }
+      return trimmed
+  }
+}
+
+// Turn a parsed CSV row into buyer fields. Blank cells and unmapped columns
+// are left out.
+function mapImportRow(raw, mapping) {
+  const values = {}
+  for (const [header, field] of Object.entries(mapping)) {
+    const value = raw[header]
+    if (value === undefined || value.trim() === "") continue
+    values[field] = normalizeImportValue(field, value)
+  }
+  return values
+}
+
+module.exports = {
+  IMPORT_FIELDS,
+  REQUIRED_FIELDS,
+  suggestMapping,
+  normalizeImportValue,
+  mapImportRow,
+}
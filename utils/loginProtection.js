@@ -0,0 +1,90 @@
+const pool = require("../config/database")
+const authConfig = require("../config/auth")
+
+// Write an entry to the authentication audit log
+async function recordAuthEvent(eventType, req, { userId = null, email = null, details = null } = {}, client = pool) {
+  await client.query(
+    `
+    INSERT INTO auth_events (event_type, user_id, email, ip_address, user_agent, details)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `,
+    [
+      eventType,
+      userId,
+      email,
+      req.ip || null,
+      (req.headers["user-agent"] || "").slice(0, 255) || null,
+      details ? JSON.stringify(details) : null,
+    ],
+  )
+}
+
+// Recent failed logins from this IP address
+async function countIpFailures(ip) {
+  const result = await pool.query(
+    `
+    SELECT COUNT(*)::int as count
+    FROM auth_events
+    WHERE event_type = 'login_failure' 
+      AND ip_address = $1 
+      AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+  `,
+    [ip, authConfig.ipWindowMinutes],
+  )
+  return result.rows[0].count
+}
+
+// Count a failed password for an account, locking it once the limit is
+// reached. Once a lock has expired the count starts over, so the account gets
+// the full number of attempts again. Returns the updated counters and
+// whether this failure locked the account.
+async function registerAccountFailure(userId) {
+  const result = await pool.query(
+    `
+    WITH current AS (
+      SELECT 
+        id,
+        CASE WHEN locked_until <= CURRENT_TIMESTAMP THEN 0 ELSE failed_login_count END + 1 as failures
+      FROM users
+      WHERE id = $1
+      FOR UPDATE
+    )
+    UPDATE users u
+    SET 
+      failed_login_count = c.failures,
+      locked_until = CASE 
+        WHEN c.failures >= $2 THEN CURRENT_TIMESTAMP + make_interval(mins => $3)
+        ELSE NULL
+      END
+    FROM current c
+    WHERE u.id = c.id
+    RETURNING u.failed_login_count, u.locked_until, c.failures >= $2 as locked
+  `,
+    [userId, authConfig.loginMaxFailures, authConfig.lockoutMinutes],
+  )
+  return result.rows[0]
+}
+
+async function resetAccountFailures(userId) {
+  await pool.query("UPDATE users SET failed_login_count = 0, locked_until = NULL WHERE id = $1", [userId])
+}
+
+// Progressive delay for a failed attempt: doubles with each failure past the
+// free attempts, capped at loginMaxDelayMs
+function failureDelay(failures) {
+  if (failures <= authConfig.loginDelayAfter) return 0
+  return Math.min(500 * 2 ** (failures - authConfig.loginDelayAfter - 1), authConfig.loginMaxDelayMs)
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms))
+}
+
+module.exports = {
+  recordAuthEvent,
+  countIpFailures,
+  registerAccountFailure,
+  resetAccountFailures,
+  failureDelay,
+  sleep,
+}
@@ -0,0 +1,46 @@
+const fs = require("fs")
+const path = require("path")
+
+// Mail delivery is pluggable: MAIL_TRANSPORT picks a registered transport.
+// `console` and `file` are built in for local development; production
+// deployments register their own (SMTP, an email API, ...) with
+// registerTransport() at startup.
+const transports = {
+  console: async (message) => {
+    console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`)
+  },
+  file: async (message) => {
+    const outputDir = process.env.MAIL_OUTPUT_DIR || path.join(__dirname, "..", "tmp", "mail")
+    await fs.promises.mkdir(outputDir, { recursive: true })
+
+    const filename = `${new Date().toISOString().replace(/[:.]/g, "-")}_${message.to.replace(/[^a-z0-9@._-]/gi, "_")}.json`
+    await fs.promises.writeFile(path.join(outputDir, filename), JSON.stringify(message, null, 2))
+  },
+}
+
+function registerTransport(name, send) {
+  transports[name] = send
+}
+
+async function sendMail({ to, subject, text, html, attachments }) {
+  const transportName = process.env.MAIL_TRANSPORT || "console"
+  const transport = transports[transportName]
+
+  if (!transport) {
+    throw new Error(`Unknown mail transport: ${transportName}`)
+  }
+
+  await transport({
+    from: process.env.MAIL_FROM || "no-reply@buyerleads.local",
+    to,
+    subject,
+    text,
+    html,
+    attachments,
+  })
+}
+
+module.exports = {
+  registerTransport,
+  sendMail,
+}
@@ -0,0 +1,130 @@
+const pool = require("../config/database")
+const { hasPermission } = require("../middleware/auth")
+
+// Postgres channel carrying buyer events between server processes
+const CHANNEL = "buyer_events"
+const RECONNECT_DELAY_MS = 5000
+
+// Realtime event for a history action. Lists only care whether a buyer
+// appeared, changed or disappeared, so imports and restores count as created.
+function realtimeEventForDiff(diff) {
+  if (["created", "imported", "restored"].includes(diff.action)) return "buyer.created"
+  if (diff.action === "deleted") return "buyer.deleted"
+  return "buyer.updated"
+}
+
+// Publish a buyer event to every server process. NOTIFY is transactional, so
+// when called with a transaction client the event only goes out on commit.
+// The owner is looked up from the buyer when not given.
+async function notifyBuyerEvent(message, client = pool) {
+  const { ownerId, ...details } = message
+
+  await client.query(
+    `
+    SELECT pg_notify(
+      $1,
+      ($2::jsonb || jsonb_build_object('ownerId', COALESCE($3::uuid, (SELECT owner_id FROM buyers WHERE id = $4::uuid))))::text
+    )
+  `,
+    [CHANNEL, JSON.stringify(details), ownerId || null, message.buyerId],
+  )
+}
+
+// Publish the event for a freshly written buyer_history entry
+async function notifyHistoryEntry(entry, client = pool) {
+  const diff = entry.diff || {}
+  const ownerChange = diff.changes && diff.changes.ownerId
+
+  await notifyBuyerEvent(
+    {
+      event: realtimeEventForDiff(diff),
+      buyerId: entry.buyer_id,
+      previousOwnerId: ownerChange ? ownerChange.from : undefined,
+      changedBy: entry.changed_by,
+      action: diff.action,
+      historyId: entry.id,
+    },
+    client,
+  )
+}
+
+// Open event streams: { user, send }
+const subscribers = new Set()
+
+// Users see events for buyers they can see now, or could see before a
+// reassignment moved the buyer out of their scope
+function canReceive(user, message) {
+  if (hasPermission(user, "buyers.viewAll")) return true
+  const visibleUserIds = user.visibleUserIds || [user.id]
+  return [message.ownerId, message.previousOwnerId].some((id) => id && visibleUserIds.includes(id))
+}
+
+function handleNotification(notification) {
+  let message
+  try {
+    message = JSON.parse(notification.payload)
+  } catch (error) {
+    console.error("Invalid realtime payload:", error)
+    return
+  }
+
+  for (const subscriber of subscribers) {
+    if (canReceive(subscriber.user, message)) {
+      subscriber.send(message)
+    }
+  }
+}
+
+function subscribe(user, send) {
+  const subscriber = { user, send }
+  subscribers.add(subscriber)
+  return () => subscribers.delete(subscriber)
+}
+
+let listenClient = null
+
+function scheduleReconnect() {
+  setTimeout(startRealtimeListener, RECONNECT_DELAY_MS).unref()
+}
+
+function dropListener(client, error) {
+  if (listenClient !== client) return
+  listenClient = null
+  client.release(error)
+  scheduleReconnect()
+}
+
+// Hold one pooled connection open for LISTEN, reconnecting if it drops
+async function startRealtimeListener() {
+  if (listenClient) return
+
+  let client
+  try {
+    client = await pool.connect()
+  } catch (error) {
+    console.error("Realtime listener connection error:", error)
+    scheduleReconnect()
+    return
+  }
+
+  listenClient = client
+  client.on("notification", handleNotification)
+  client.on("error", (error) => {
+    console.error("Realtime listener error:", error)
+    dropListener(client, error)
+  })
+
+  try {
+    await client.query(`LISTEN ${CHANNEL}`)
+  } catch (error) {
+    console.error("Realtime listener error:", error)
+    dropListener(client, error)
+  }
+}
+
+module.exports = {
+  notifyBuyerEvent,
+  notifyHistoryEntry,
+  subscribe,
+  startRealtimeListener,
+}
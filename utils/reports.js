@@ -0,0 +1,322 @@
+const fs = require("fs")
+const path = require("path")
+const { finished } = require("stream/promises")
+const { CronExpressionParser } = require("cron-parser")
+const pool = require("../config/database")
+const reportConfig = require("../config/reports")
+const { hasPermission, loadVisibleUserIds } = require("../middleware/auth")
+const { streamBuyerExport } = require("./buyerExport")
+const { FILE_FORMATS } = require("./fileFormats")
+const { sendMail } = require("./mailer")
+const { enqueueWebhookDelivery } = require("./webhooks")
+
+// Running runs that stop sending heartbeats for this long belonged to a
+// process that died
+const STALE_RUN_MINUTES = 5
+
+// How often expired report files are looked for
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000
+
+// Next time a report is due after `from`, in the report's time zone
+function nextRunAt(report, from = new Date()) {
+  return CronExpressionParser.parse(report.cron_expression, { currentDate: from, tz: report.timezone })
+    .next()
+    .toDate()
+}
+
+// Download name for a run's file: the report name and the day it ran
+function reportFilename(report, run) {
+  const date = new Date(run.finished_at || run.created_at).toISOString().split("T")[0]
+  return `${report.name.replace(/[^a-z0-9_-]+/gi, "_")}_${date}${FILE_FORMATS[run.format].extensions[0]}`
+}
+
+function runFilePath(run) {
+  return path.join(reportConfig.storageDir, run.report_id, `${run.id}${FILE_FORMATS[run.format].extensions[0]}`)
+}
+
+function removeFile(filePath) {
+  fs.promises.unlink(filePath).catch((error) => {
+    if (error.code !== "ENOENT") console.error("Error deleting report file:", error)
+  })
+}
+
+function downloadUrl(run) {
+  return `${reportConfig.publicUrl}/api/reports/${run.report_id}/runs/${run.id}/download`
+}
+
+// Queue a run for every report that is due and move it to its next time.
+// Runs missed while no server was up are collapsed into one.
+async function queueDueReports() {
+  for (;;) {
+    const client = await pool.connect()
+    try {
+      await client.query("BEGIN")
+
+      const result = await client.query(`
+        SELECT * FROM scheduled_reports
+        WHERE active = TRUE AND next_run_at <= CURRENT_TIMESTAMP
+        ORDER BY next_run_at
+        LIMIT 1
+        FOR UPDATE SKIP LOCKED
+      `)
+      const report = result.rows[0]
+      if (!report) {
+        await client.query("COMMIT")
+        return
+      }
+
+      await client.query(
+        "UPDATE scheduled_reports SET next_run_at = $2, last_run_at = CURRENT_TIMESTAMP WHERE id = $1",
+        [report.id, nextRunAt(report)],
+      )
+      await client.query("INSERT INTO report_runs (report_id, trigger, format) VALUES ($1, 'schedule', $2)", [
+        report.id,
+        report.format,
+      ])
+
+      await client.query("COMMIT")
+    } catch (error) {
+      await client.query("ROLLBACK")
+      throw error
+    } finally {
+      client.release()
+    }
+  }
+}
+
+// Claim the oldest queued run. SKIP LOCKED keeps two processes from running
+// the same one.
+async function claimNextRun() {
+  const staleResult = await pool.query(
+    `
+    UPDATE report_runs
+    SET status = 'failed', error = 'Report was interrupted before it finished', finished_at = CURRENT_TIMESTAMP
+    WHERE status = 'running' AND heartbeat_at < CURRENT_TIMESTAMP - make_interval(mins => $1)
+    RETURNING *
+  `,
+    [STALE_RUN_MINUTES],
+  )
+
+  // Drop whatever part of the file was written
+  for (const staleRun of staleResult.rows) {
+    removeFile(runFilePath(staleRun))
+  }
+
+  const result = await pool.query(`
+    UPDATE report_runs
+    SET status = 'running', started_at = CURRENT_TIMESTAMP, heartbeat_at = CURRENT_TIMESTAMP
+    WHERE id = (
+      SELECT id FROM report_runs
+      WHERE status = 'queued'
+      ORDER BY created_at
+      LIMIT 1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `)
+  return result.rows[0] || null
+}
+
+// Email the recipients and notify the webhook. Failures here don't fail the
+// run, since the file is still available for download.
+async function deliverReport(report, run) {
+  const errors = []
+  const url = downloadUrl(run)
+  const filename = reportFilename(report, run)
+
+  for (const recipient of report.recipients) {
+    try {
+      await sendMail({
+        to: recipient,
+        subject: `Report: ${report.name}`,
+        text: `Your scheduled report "${report.name}" has ${run.row_count} buyer(s).\n\nDownload: ${url}`,
+        attachments: [{ filename, path: run.file_path, contentType: FILE_FORMATS[run.format].contentType }],
+      })
+    } catch (error) {
+      errors.push(`${recipient}: ${error.message}`)
+    }
+  }
+
+  if (report.webhook_id) {
+    try {
+      await enqueueWebhookDelivery(report.webhook_id, "report.completed", {
+        id: run.id,
+        event: "report.completed",
+        occurredAt: run.finished_at,
+        reportId: report.id,
+        reportName: report.name,
+        format: run.format,
+        rowCount: run.row_count,
+        downloadUrl: url,
+      })
+    } catch (error) {
+      errors.push(`webhook: ${error.message}`)
+    }
+  }
+
+  return errors.length > 0 ? errors.join("; ") : null
+}
+
+// Mark a run as still alive. Fails if the run was meanwhile marked as
+// interrupted, which stops the export.
+async function heartbeat(run) {
+  const result = await pool.query(
+    "UPDATE report_runs SET heartbeat_at = CURRENT_TIMESTAMP WHERE id = $1 AND status = 'running'",
+    [run.id],
+  )
+  if (result.rowCount === 0) {
+    throw new Error("Run was marked as interrupted")
+  }
+}
+
+// Write the report's buyers to a file in the storage directory, then deliver
+// it. The export sees what the report's creator can see today.
+async function runReport(run) {
+  const reportResult = await pool.query("SELECT * FROM scheduled_reports WHERE id = $1", [run.report_id])
+  const report = reportResult.rows[0]
+
+  const filePath = runFilePath(run)
+  let output = null
+
+  try {
+    const userResult = await pool.query(
+      `
+      SELECT 
+        u.id,
+        u.email,
+        u.role,
+        u.is_active,
+        EXISTS (
+          SELECT 1 FROM api_keys k
+          WHERE k.id = $2 AND k.user_id = u.id AND k.revoked_at IS NULL 
+            AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+        ) as api_key_active
+      FROM users u
+      WHERE u.id = $1
+    `,
+      [report.created_by, report.api_key_id],
+    )
+    const { is_active, api_key_active, ...creator } = userResult.rows[0] || {}
+    // Reports scheduled through an API key keep its scopes and stop with it
+    const user = report.api_key_scopes
+      ? { ...creator, apiKeyId: report.api_key_id, apiKeyScopes: report.api_key_scopes }
+      : creator
+    if (!is_active || !hasPermission(user, "buyers.export")) {
+      throw new Error("The report's creator can no longer export buyers")
+    }
+    if (report.api_key_scopes && !api_key_active) {
+      throw new Error("The API key that scheduled this report has been revoked or has expired")
+    }
+    user.visibleUserIds = await loadVisibleUserIds(user.id)
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true })
+    output = fs.createWriteStream(filePath)
+    const rowCount = await streamBuyerExport(
+      { user },
+      {
+        filters: { ...report.filters, sortBy: report.sort_by, sortOrder: report.sort_order },
+        columns: report.columns,
+        format: run.format,
+        output,
+        onProgress: () => heartbeat(run),
+      },
+    )
+    await finished(output)
+    const { size } = await fs.promises.stat(filePath)
+
+    // Only a run this process still owns can succeed
+    const result = await pool.query(
+      `
+      UPDATE report_runs
+      SET status = 'succeeded', row_count = $2, file_path = $3, file_size = $4, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'running'
+      RETURNING *
+    `,
+      [run.id, rowCount, filePath, size],
+    )
+    if (result.rows.length === 0) {
+      throw new Error("Run was marked as interrupted")
+    }
+
+    const deliveryError = await deliverReport(report, result.rows[0])
+    if (deliveryError) {
+      await pool.query("UPDATE report_runs SET delivery_error = $2 WHERE id = $1", [run.id, deliveryError])
+    }
+  } catch (error) {
+    console.error("Report run error:", error)
+    if (output) output.destroy()
+    fs.promises.unlink(filePath).catch(() => {})
+    await pool.query(
+      `
+      UPDATE report_runs SET status = 'failed', error = $2, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'running'
+    `,
+      [run.id, `Report failed: ${error.message}`],
+    )
+  }
+}
+
+// Delete the files of runs that finished longer ago than the retention
+// period. The runs stay in the history without a download.
+async function removeExpiredReportFiles() {
+  const result = await pool.query(
+    `
+    WITH expired AS (
+      SELECT id, file_path
+      FROM report_runs
+      WHERE file_path IS NOT NULL 
+        AND finished_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+      FOR UPDATE SKIP LOCKED
+    )
+    UPDATE report_runs r
+    SET file_path = NULL
+    FROM expired e
+    WHERE r.id = e.id
+    RETURNING e.file_path
+  `,
+    [reportConfig.retentionDays],
+  )
+
+  for (const row of result.rows) {
+    removeFile(row.file_path)
+  }
+}
+
+let schedulerTimer = null
+let schedulerRunning = false
+let lastCleanupAt = 0
+
+// Queue due reports, then run queued runs one at a time until none are left
+async function processReportQueue() {
+  if (schedulerRunning) return
+  schedulerRunning = true
+  try {
+    if (Date.now() - lastCleanupAt >= CLEANUP_INTERVAL_MS) {
+      lastCleanupAt = Date.now()
+      await removeExpiredReportFiles()
+    }
+
+    await queueDueReports()
+    let run
+    while ((run = await claimNextRun())) {
+      await runReport(run)
+    }
+  } catch (error) {
+    console.error("Report scheduler error:", error)
+  } finally {
+    schedulerRunning = false
+  }
+}
+
+function startReportScheduler() {
+  if (schedulerTimer) return
+  schedulerTimer = setInterval(processReportQueue, reportConfig.pollIntervalMs)
+  schedulerTimer.unref()
+}
+
+module.exports = {
+  nextRunAt,
+  reportFilename,
+  processReportQueue,
+  startReportScheduler,
+}
@@ -0,0 +1,48 @@
+const pool = require("../config/database")
+
+const UUID_PATTERN = /^[0-9a-f-]{36}$/i
+
+// Load a saved view the user may use: one they own, or one shared with a
+// team they belong to. Ids that aren't UUIDs match nothing.
+async function findAccessibleView(viewId, userId) {
+  if (!UUID_PATTERN.test(viewId)) return null
+
+  const result = await pool.query(
+    `
+    SELECT v.*
+    FROM saved_views v
+    WHERE v.id = $1
+      AND (v.owner_id = $2 OR v.team_id IN (SELECT team_id FROM team_members WHERE user_id = $2))
+  `,
+    [viewId, userId],
+  )
+  return result.rows[0] || null
+}
+
+// Resolve `?view=<id>` into the query object filtersSchema expects. The
+// view supplies filters and sort order; non-empty query parameters still win,
+// so a view can be narrowed or paged. Sends an error response and returns
+// null when the view can't be used.
+async function applySavedView(req, res) {
+  const { view: viewId, ...query } = req.query
+  if (!viewId) return query
+
+  if (!UUID_PATTERN.test(viewId)) {
+    res.status(400).json({ error: "Invalid view id" })
+    return null
+  }
+
+  const view = await findAccessibleView(viewId, req.user.id)
+  if (!view) {
+    res.status(404).json({ error: "Saved view not found" })
+    return null
+  }
+
+  const explicit = Object.fromEntries(Object.entries(query).filter(([, value]) => value !== ""))
+  return { ...view.filters, sortBy: view.sort_by, sortOrder: view.sort_order, ...explicit }
+}
+
+module.exports = {
+  findAccessibleView,
+  applySavedView,
+}
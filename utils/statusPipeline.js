@@ -0,0 +1,42 @@
+const pipeline = require("../config/statusPipeline")
+
+function getAllowedTransitions(fromStatus) {
+  return pipeline.transitions[fromStatus] || []
+}
+
+// Check a status move. `fromStatus` is null for newly created leads.
+// Returns null when the move is allowed, otherwise an error payload.
+function checkStatusTransition(fromStatus, toStatus, reason) {
+  if (!toStatus || fromStatus === toStatus) {
+    return null
+  }
+
+  const allowedStatuses = fromStatus ? getAllowedTransitions(fromStatus) : pipeline.initial
+
+  if (!allowedStatuses.includes(toStatus)) {
+    return {
+      error: fromStatus
+        ? `Cannot move a lead from ${fromStatus} to ${toStatus}`
+        : `Cannot create a lead in status ${toStatus}`,
+      currentStatus: fromStatus,
+      requestedStatus: toStatus,
+      allowedStatuses,
+    }
+  }
+
+  if (pipeline.reasonRequired.includes(toStatus) && !(reason && reason.trim())) {
+    return {
+      error: `A reason is required when moving a lead to ${toStatus}`,
+      currentStatus: fromStatus,
+      requestedStatus: toStatus,
+      allowedStatuses,
+    }
+  }
+
+  return null
+}
+
+module.exports = {
+  getAllowedTransitions,
+  checkStatusTransition,
+}
@@ -0,0 +1,158 @@
+const crypto = require("crypto")
+const jwt = require("jsonwebtoken")
+const pool = require("../config/database")
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || "15m"
+const REFRESH_TOKEN_TTL_DAYS = Number.parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex")
+}
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign({ userId: user.id, email: user.email, role: user.role, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+  })
+}
+
+async function storeRefreshToken(client, userId, familyId, req) {
+  const refreshToken = crypto.randomBytes(48).toString("base64url")
+
+  const result = await client.query(
+    `
+    INSERT INTO refresh_tokens (user_id, family_id, token_hash, expires_at, user_agent, ip_address)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + make_interval(days => $4), $5, $6)
+    RETURNING id
+  `,
+    [
+      userId,
+      familyId,
+      hashToken(refreshToken),
+      REFRESH_TOKEN_TTL_DAYS,
+      (req.headers["user-agent"] || "").slice(0, 255) || null,
+      req.ip || null,
+    ],
+  )
+
+  return { id: result.rows[0].id, refreshToken }
+}
+
+// Start a new session for a user who just authenticated
+async function issueSession(user, req, client = pool) {
+  const familyId = crypto.randomUUID()
+  const { refreshToken } = await storeRefreshToken(client, user.id, familyId, req)
+
+  return {
+    token: signAccessToken(user, familyId),
+    refreshToken,
+  }
+}
+
+// Exchange a refresh token for a new token pair. Presenting a token that was
+// already rotated means it leaked, so the whole family is revoked.
+// Returns { error } or { user, token, refreshToken }.
+async function rotateRefreshToken(rawToken, req) {
+  const client = await pool.connect()
+
+  try {
+    await client.query("BEGIN")
+
+    const result = await client.query(
+      `
+      SELECT rt.*, u.email, u.role, u.is_active
+      FROM refresh_tokens rt
+      JOIN users u ON rt.user_id = u.id
+      WHERE rt.token_hash = $1
+      FOR UPDATE OF rt
+    `,
+      [hashToken(rawToken)],
+    )
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK")
+      return { error: "Invalid refresh token" }
+    }
+
+    const stored = result.rows[0]
+
+    if (stored.revoked_at) {
+      await client.query(
+        "UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL",
+        [stored.family_id],
+      )
+      await client.query("COMMIT")
+      console.warn(`Refresh token reuse detected for user ${stored.user_id}; session ${stored.family_id} revoked`)
+      return { error: "Refresh token has already been used. Please log in again." }
+    }
+
+    if (!stored.is_active) {
+      await client.query("ROLLBACK")
+      return { error: "This account has been deactivated" }
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      await client.query("ROLLBACK")
+      return { error: "Refresh token expired. Please log in again." }
+    }
+
+    const user = { id: stored.user_id, email: stored.email, role: stored.role }
+    const next = await storeRefreshToken(client, user.id, stored.family_id, req)
+
+    await client.query("UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2", [
+      next.id,
+      stored.id,
+    ])
+
+    await client.query("COMMIT")
+
+    return {
+      user,
+      token: signAccessToken(user, stored.family_id),
+      refreshToken: next.refreshToken,
+    }
+  } catch (error) {
+    await client.query("ROLLBACK")
+    throw error
+  } finally {
+    client.release()
+  }
+}
+
+// Revoke the session a refresh token belongs to. Returns false for unknown tokens.
+async function revokeSessionByToken(rawToken) {
+  const result = await pool.query(
+    `
+    UPDATE refresh_tokens 
+    SET revoked_at = COALESCE(revoked_at, CURRENT_TIMESTAMP)
+    WHERE family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)
+    RETURNING id
+  `,
+    [hashToken(rawToken)],
+  )
+  return result.rows.length > 0
+}
+
+// Revoke every session of a user
+async function revokeAllSessions(userId, client = pool) {
+  const result = await client.query(
+    `
+    WITH revoked AS (
+      UPDATE refresh_tokens 
+      SET revoked_at = CURRENT_TIMESTAMP 
+      WHERE user_id = $1 AND revoked_at IS NULL
+      RETURNING family_id
+    )
+    SELECT COUNT(DISTINCT family_id)::int as count FROM revoked
+  `,
+    [userId],
+  )
+  return result.rows[0].count
+}
+
+module.exports = {
+  hashToken,
+  issueSession,
+  rotateRefreshToken,
+  revokeSessionByToken,
+  revokeAllSessions,
+}
@@ -1,4 +1,5 @@
 const { z } = require("zod")
+const { CronExpressionParser } = require("cron-parser")
 
 // Enums
 const CityEnum = z.enum(["Chandigarh", "Mohali", "Zirakpur", "Panchkula", "Other"])
@@ -92,8 +93,134 @@ const csvRowSchema = buyerSchema.safeExtend({
     }),
 })
 
-// Update schema (allows partial updates)
+// "true"/"false" flags sent as query parameters or multipart form fields
+const booleanFlag = z
+  .enum(["true", "false"])
+  .or(z.literal(""))
+  .default("false")
+  .transform((value) => value === "true")
+
+// Multipart form fields can only carry strings, so objects arrive as JSON
+const jsonField = (schema) =>
+  z.preprocess((value) => {
+    if (typeof value !== "string") return value
+    try {
+      return JSON.parse(value)
+    } catch {
+      return value
+    }
+  }, schema)
+
+const ImportFieldEnum = z.enum([
+  "fullName",
+  "email",
+  "phone",
+  "city",
+  "propertyType",
+  "bhk",
+  "purpose",
+  "budgetMin",
+  "budgetMax",
+  "timeline",
+  "source",
+  "status",
+  "notes",
+  "tags",
+])
+
+// CSV header -> buyer field; each field may be mapped from one header only
+const importMappingSchema = z
+  .record(z.string(), ImportFieldEnum)
+  .refine((mapping) => new Set(Object.values(mapping)).size === Object.values(mapping).length, {
+    message: "Each buyer field can only be mapped from one column",
+  })
+
+// Values used for new buyers when their row leaves a field blank
+const importDefaultsSchema = z.object({
+  city: CityEnum.optional(),
+  propertyType: PropertyTypeEnum.optional(),
+  purpose: PurposeEnum.optional(),
+  timeline: TimelineEnum.optional(),
+  source: SourceEnum.optional(),
+  status: StatusEnum.optional(),
+  tags: z.string().optional(),
+})
+
+// Import and export file formats
+const FileFormatEnum = z.enum(["csv", "xlsx", "json", "ndjson"])
+
+// Import options, passed as query parameters or form fields alongside
+// the upload
+const importOptionsSchema = z.object({
+  mode: z
+    .enum(["partial", "atomic"])
+    .or(z.literal(""))
+    .default("partial")
+    .transform((mode) => mode || "partial"),
+  allowDuplicates: booleanFlag,
+  dryRun: booleanFlag,
+  upsert: booleanFlag,
+  mapping: jsonField(importMappingSchema).optional(),
+  defaults: jsonField(importDefaultsSchema).optional(),
+  templateId: z.string().uuid("Invalid template id").optional().or(z.literal("")),
+  // Detected from the file name when not given
+  format: FileFormatEnum.optional().or(z.literal("")),
+})
+
+const ExportColumnEnum = z.enum([
+  "id",
+  "fullName",
+  "email",
+  "phone",
+  "city",
+  "propertyType",
+  "bhk",
+  "purpose",
+  "budgetMin",
+  "budgetMax",
+  "timeline",
+  "source",
+  "status",
+  "notes",
+  "tags",
+  "owner_email",
+  "createdAt",
+  "updatedAt",
+])
+
+// Export options. The format can also be chosen with the Accept header, and
+// `columns` is a comma-separated list; without it the import columns are
+// exported.
+const exportOptionsSchema = z.object({
+  format: FileFormatEnum.optional().or(z.literal("")),
+  columns: z
+    .string()
+    .optional()
+    .transform((value) =>
+      (value || "")
+        .split(",")
+        .map((column) => column.trim())
+        .filter((column) => column.length > 0),
+    )
+    .pipe(
+      z.array(ExportColumnEnum).refine((columns) => new Set(columns).size === columns.length, {
+        message: "Columns can only be listed once",
+      }),
+    ),
+})
+
+const importTemplateSchema = z.object({
+  name: z.string().min(2, "Name must be at least 2 characters").max(100, "Name must be less than 100 characters"),
+  mapping: importMappingSchema,
+  defaults: importDefaultsSchema.default({}),
+})
+
+// Update schema (allows partial updates). Defaults are dropped so that
+// omitted fields are left untouched instead of being reset.
 const updateBuyerSchema = buyerSchema.partial().safeExtend({
+  status: StatusEnum.optional(),
+  tags: z.array(z.string()).optional(),
+  statusReason: z.string().max(500, "Status reason must be less than 500 characters").optional(),
   updatedAt: z.string().datetime().optional(),
 })
 
@@ -110,12 +237,306 @@ const filtersSchema = z.object({
   sortOrder: z.enum(["asc", "desc"]).or(z.literal("")).default("desc"),
 })
 
+// Saved view schema: the filter part of filtersSchema plus sort order. Empty
+// filters are dropped so they don't override anything when the view is used.
+const savedViewSchema = z.object({
+  name: z.string().min(1, "Name is required").max(100, "Name must be less than 100 characters"),
+  filters: filtersSchema
+    .pick({ city: true, propertyType: true, status: true, timeline: true, search: true })
+    .default({})
+    .transform((filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ""))),
+  sortBy: z.enum(["updatedAt", "fullName", "createdAt"]).default("updatedAt"),
+  sortOrder: z.enum(["asc", "desc"]).default("desc"),
+  teamId: z.string().uuid("Invalid team id").nullable().default(null),
+})
+
+// Public lead-capture schema: the subset of buyerSchema a website form may
+// submit. Source, status, tags and owner are set by the server.
+const publicLeadSchema = buyerSchema
+  .pick({
+    fullName: true,
+    email: true,
+    phone: true,
+    city: true,
+    propertyType: true,
+    bhk: true,
+    purpose: true,
+    budgetMin: true,
+    budgetMax: true,
+    notes: true,
+  })
+  .safeExtend({
+    timeline: TimelineEnum.default("Exploring"),
+    notes: z.string().max(500, "Message must be less than 500 characters").optional(),
+  })
+  .refine((data) => !["Apartment", "Villa"].includes(data.propertyType) || data.bhk, {
+    message: "BHK is required for Apartment and Villa property types",
+    path: ["bhk"],
+  })
+  .refine((data) => !(data.budgetMin && data.budgetMax) || data.budgetMax >= data.budgetMin, {
+    message: "Budget max must be greater than or equal to budget min",
+    path: ["budgetMax"],
+  })
+
+const leadSiteSchema = z.object({
+  name: z.string().min(2, "Name must be at least 2 characters").max(100, "Name must be less than 100 characters"),
+  // Stored the way browsers send the Origin header, e.g. "https://example.com"
+  allowedOrigins: z
+    .array(z.string().url("Invalid origin").transform((url) => new URL(url).origin))
+    .default([]),
+  defaultOwnerId: z.string().uuid("Invalid owner id"),
+  active: z.boolean().default(true),
+})
+
+// Analytics query schema (same filters as the list endpoint)
+const analyticsQuerySchema = filtersSchema.safeExtend({
+  weeks: z.union([z.coerce.number().int().min(1).max(52), z.literal("")]).default(12),
+})
+
+// Reassignment schema
+const reassignBuyerSchema = z.object({
+  ownerId: z.string().uuid("Invalid owner id"),
+  updatedAt: z.string().datetime().optional(),
+})
+
+// Team schemas
+const teamSchema = z.object({
+  name: z.string().min(2, "Team name must be at least 2 characters").max(100, "Team name must be less than 100 characters"),
+})
+
+const teamMemberSchema = z.object({
+  userId: z.string().uuid("Invalid user id"),
+  role: z.enum(["member", "lead"]).default("member"),
+})
+
+// Assignment rule schema
+const assignmentRuleSchema = z
+  .object({
+    name: z.string().min(2, "Rule name must be at least 2 characters").max(100, "Rule name must be less than 100 characters"),
+    priority: z.number().int().min(0).default(100),
+    active: z.boolean().default(true),
+    cities: z.array(CityEnum).default([]),
+    propertyTypes: z.array(PropertyTypeEnum).default([]),
+    purposes: z.array(PurposeEnum).default([]),
+    budgetMin: z.number().int().min(0).nullable().optional(),
+    budgetMax: z.number().int().min(0).nullable().optional(),
+    intakeUserIds: z.array(z.string().uuid("Invalid user id")).default([]),
+    strategy: z.enum(["round_robin", "least_loaded"]).default("round_robin"),
+    agentIds: z.array(z.string().uuid("Invalid user id")).min(1, "At least one agent is required"),
+  })
+  .refine(
+    (data) => {
+      if (data.budgetMin != null && data.budgetMax != null) {
+        return data.budgetMax >= data.budgetMin
+      }
+      return true
+    },
+    {
+      message: "Budget max must be greater than or equal to budget min",
+      path: ["budgetMax"],
+    },
+  )
+
+// Bulk action schema: targets either explicit ids or a filter set
+const bulkOperationSchema = z.discriminatedUnion("type", [
+  z.object({
+    type: z.literal("status"),
+    status: StatusEnum,
+    reason: z.string().max(500, "Status reason must be less than 500 characters").optional(),
+  }),
+  z.object({ type: z.literal("addTags"), tags: z.array(z.string().min(1)).min(1, "At least one tag is required") }),
+  z.object({ type: z.literal("removeTags"), tags: z.array(z.string().min(1)).min(1, "At least one tag is required") }),
+  z.object({ type: z.literal("reassign"), ownerId: z.string().uuid("Invalid owner id") }),
+  z.object({ type: z.literal("delete") }),
+])
+
+const BULK_FILTER_FIELDS = ["city", "propertyType", "status", "timeline", "search"]
+
+const bulkActionSchema = z
+  .object({
+    ids: z.array(z.string().uuid("Invalid buyer id")).min(1).max(1000).optional(),
+    filters: filtersSchema.optional(),
+    // Targeting every visible buyer has to be asked for explicitly
+    confirmAll: z.boolean().default(false),
+    operation: bulkOperationSchema,
+  })
+  .refine((data) => Boolean(data.ids) !== Boolean(data.filters), {
+    message: "Provide either ids or filters, not both",
+    path: ["ids"],
+  })
+  .refine(
+    (data) =>
+      !data.filters ||
+      data.confirmAll ||
+      BULK_FILTER_FIELDS.some((field) => String(data.filters[field] ?? "").trim() !== ""),
+    {
+      message: "Filters must set at least one criterion, or pass confirmAll: true to target every buyer",
+      path: ["filters"],
+    },
+  )
+
+// Trash schemas
+const trashQuerySchema = z.object({
+  page: z.union([z.coerce.number().int().min(1), z.literal("")]).default(1),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(10),
+})
+
+const trashPurgeSchema = z.object({
+  olderThanDays: z.coerce
+    .number()
+    .int()
+    .min(0)
+    .default(Number.parseInt(process.env.TRASH_RETENTION_DAYS) || 30),
+})
+
+// History timeline query schema
+const historyQuerySchema = z.object({
+  cursor: z.string().optional().or(z.literal("")),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(20),
+  action: z.string().optional().or(z.literal("")),
+  changedBy: z.string().uuid("Invalid user id").optional().or(z.literal("")),
+  asOf: z.string().datetime({ offset: true }).optional().or(z.literal("")),
+})
+
+// Revert schema: undo a single history entry, or restore the whole record
+// to its state right after that entry
+const revertBuyerSchema = z.object({
+  historyId: z.string().uuid("Invalid history entry id"),
+  mode: z.enum(["entry", "pointInTime"]).default("entry"),
+  updatedAt: z.string().datetime().optional(),
+  statusReason: z.string().max(500, "Status reason must be less than 500 characters").optional(),
+})
+
+// Merge schema (duplicate is merged into the buyer in the URL)
+const mergeBuyerSchema = z.object({
+  duplicateId: z.string().uuid("Invalid duplicate id"),
+})
+
+// Follow-up task schemas
+const taskSchema = z.object({
+  title: z.string().min(1, "Title is required").max(200, "Title must be less than 200 characters"),
+  notes: z.string().max(1000, "Notes must be less than 1000 characters").optional(),
+  dueAt: z.string().datetime({ offset: true }),
+})
+
+const updateTaskSchema = taskSchema.partial().extend({
+  completed: z.boolean().optional(),
+})
+
+const taskAgendaSchema = z.object({
+  due: z.enum(["today", "overdue", "week"]).or(z.literal("")).default(""),
+})
+
+// Webhook schemas
+const WebhookEventEnum = z.enum([
+  "buyer.created",
+  "buyer.updated",
+  "buyer.status_changed",
+  "buyer.imported",
+  "buyer.deleted",
+  "buyer.restored",
+  "buyer.purged",
+])
+
+const webhookSchema = z.object({
+  name: z.string().min(2, "Name must be at least 2 characters").max(100, "Name must be less than 100 characters"),
+  url: z
+    .string()
+    .url("Invalid URL")
+    .refine((url) => /^https?:\/\//.test(url), "URL must use http or https"),
+  events: z.array(WebhookEventEnum).min(1, "Subscribe to at least one event"),
+  active: z.boolean().default(true),
+})
+
+const webhookDeliveriesQuerySchema = z.object({
+  status: z.enum(["pending", "succeeded", "failed"]).optional().or(z.literal("")),
+  event: WebhookEventEnum.optional().or(z.literal("")),
+  page: z.union([z.coerce.number().int().min(1), z.literal("")]).default(1),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(20),
+})
+
+// Standard five-field cron (minute hour day month weekday); seconds aren't
+// allowed so a report can run at most once a minute
+function isValidCron(expression) {
+  if (expression.trim().split(/\s+/).length !== 5) return false
+  try {
+    CronExpressionParser.parse(expression)
+    return true
+  } catch {
+    return false
+  }
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// Scheduled report schema. Filters are the list filters plus the age of the
+// lead, so "new" and "stale" leads can be reported on.
+const scheduledReportSchema = z.object({
+  name: z.string().min(2, "Name must be at least 2 characters").max(100, "Name must be less than 100 characters"),
+  cronExpression: z.string().max(100).refine(isValidCron, "Invalid cron expression"),
+  timezone: z.string().refine(isValidTimeZone, "Invalid time zone").default("UTC"),
+  filters: filtersSchema
+    .pick({ city: true, propertyType: true, status: true, timeline: true, search: true })
+    .safeExtend({
+      createdWithinDays: z.number().int().min(1).max(365).optional(),
+      notUpdatedForDays: z.number().int().min(1).max(365).optional(),
+    })
+    .default({})
+    .transform((filters) => Object.fromEntries(Object.entries(filters).filter(([, value]) => value !== ""))),
+  columns: z
+    .array(ExportColumnEnum)
+    .refine((columns) => new Set(columns).size === columns.length, "Columns can only be listed once")
+    .default([]),
+  sortBy: z.enum(["updatedAt", "fullName", "createdAt"]).default("updatedAt"),
+  sortOrder: z.enum(["asc", "desc"]).default("desc"),
+  format: FileFormatEnum.default("csv"),
+  recipients: z.array(z.string().email("Invalid email address")).max(20, "At most 20 recipients").default([]),
+  webhookId: z.string().uuid("Invalid webhook id").nullable().default(null),
+  active: z.boolean().default(true),
+})
+
+const reportRunsQuerySchema = z.object({
+  status: z.enum(["queued", "running", "succeeded", "failed"]).optional().or(z.literal("")),
+  page: z.union([z.coerce.number().int().min(1), z.literal("")]).default(1),
+  limit: z.union([z.coerce.number().int().min(1).max(100), z.literal("")]).default(20),
+})
 
 module.exports = {
   buyerSchema,
   updateBuyerSchema,
   csvRowSchema,
+  importOptionsSchema,
+  importTemplateSchema,
+  exportOptionsSchema,
   filtersSchema,
+  savedViewSchema,
+  publicLeadSchema,
+  leadSiteSchema,
+  analyticsQuerySchema,
+  reassignBuyerSchema,
+  teamSchema,
+  teamMemberSchema,
+  assignmentRuleSchema,
+  bulkActionSchema,
+  trashQuerySchema,
+  trashPurgeSchema,
+  historyQuerySchema,
+  mergeBuyerSchema,
+  revertBuyerSchema,
+  taskSchema,
+  updateTaskSchema,
+  taskAgendaSchema,
+  webhookSchema,
+  webhookDeliveriesQuerySchema,
+  scheduledReportSchema,
+  reportRunsQuerySchema,
   CityEnum,
   PropertyTypeEnum,
   BHKEnum,
@@ -123,4 +544,5 @@ module.exports = {
   TimelineEnum,
   SourceEnum,
   StatusEnum,
+  WebhookEventEnum,
 }
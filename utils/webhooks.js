@@ -0,0 +1,322 @@
+const crypto = require("crypto")
+const dns = require("dns")
+const http = require("http")
+const https = require("https")
+const net = require("net")
+const pool = require("../config/database")
+
+const MAX_ATTEMPTS = Number.parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8
+const RETRY_BASE_SECONDS = Number.parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30
+const POLL_INTERVAL_MS = Number.parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 5000
+const REQUEST_TIMEOUT_MS = 10000
+const BATCH_SIZE = 20
+
+// A claimed delivery is retried after this long if its process dies mid-send
+const CLAIM_LEASE_SECONDS = 60
+
+// Only the start of a receiver's response is kept in the delivery log
+const RESPONSE_BODY_LIMIT = 500
+
+// For local development against receivers on this machine or network
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === "true"
+
+// Webhooks must not reach the server's own network: loopback, private,
+// link-local (cloud metadata), shared and other reserved ranges
+const blockedAddresses = new net.BlockList()
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4")
+}
+for (const [network, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6")
+}
+
+// History actions that publish an event; anything else that changes fields
+// (reassign, revert, merge, ...) is reported as buyer.updated
+const actionEvents = {
+  created: "buyer.created",
+  imported: "buyer.imported",
+  deleted: "buyer.deleted",
+  restored: "buyer.restored",
+  purged: "buyer.purged",
+}
+
+// Events published for a buyer_history diff. Task entries don't publish.
+function eventsForDiff(diff) {
+  if (actionEvents[diff.action]) {
+    return [actionEvents[diff.action]]
+  }
+  if (!diff.action || diff.action.startsWith("task_")) {
+    return []
+  }
+
+  const events = ["buyer.updated"]
+  if (diff.changes && diff.changes.status) {
+    events.push("buyer.status_changed")
+  }
+  return events
+}
+
+// Queue deliveries for every active webhook subscribed to the events a
+// history entry publishes. Runs on the caller's client so deliveries are only
+// queued if its transaction commits.
+async function enqueueWebhookEvents(entry, client = pool) {
+  for (const event of eventsForDiff(entry.diff)) {
+    const payload = {
+      id: entry.id,
+      event,
+      occurredAt: entry.changed_at,
+      buyerId: entry.buyer_id,
+      changedBy: entry.changed_by,
+      diff: entry.diff,
+    }
+
+    await client.query(
+      `
+      INSERT INTO webhook_deliveries (webhook_id, event, payload)
+      SELECT id, $1, $2 FROM webhooks WHERE active = TRUE AND $1 = ANY(events)
+    `,
+      [event, JSON.stringify(payload)],
+    )
+  }
+}
+
+// Queue a delivery to one webhook regardless of the events it subscribes to,
+// for notifications addressed to it directly (e.g. scheduled reports)
+async function enqueueWebhookDelivery(webhookId, event, payload, client = pool) {
+  await client.query(
+    `
+    INSERT INTO webhook_deliveries (webhook_id, event, payload)
+    SELECT id, $2, $3 FROM webhooks WHERE id = $1 AND active = TRUE
+  `,
+    [webhookId, event, JSON.stringify(payload)],
+  )
+}
+
+// Receivers verify the HMAC of "<timestamp>.<body>" to check the sender and
+// reject replays
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex")
+}
+
+// Wait before the next attempt, doubling each time
+function retryDelaySeconds(attempts) {
+  return RETRY_BASE_SECONDS * 2 ** (attempts - 1)
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)
+  if (mapped) return blockedAddresses.check(mapped[1], "ipv4")
+  return blockedAddresses.check(address, net.isIPv6(address) ? "ipv6" : "ipv4")
+}
+
+// Error message when a webhook URL resolves to an address webhooks may not
+// reach, otherwise null
+async function checkWebhookUrl(url) {
+  if (ALLOW_PRIVATE_URLS) return null
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "")
+  let addresses
+  if (net.isIP(host)) {
+    addresses = [host]
+  } else {
+    try {
+      addresses = (await dns.promises.lookup(host, { all: true })).map(({ address }) => address)
+    } catch {
+      return `Could not resolve ${host}`
+    }
+  }
+
+  return addresses.some(isBlockedAddress) ? "URL must not point to a private, loopback or link-local address" : null
+}
+
+// dns.lookup for outgoing deliveries that refuses blocked addresses. Checking
+// when connecting means a host can't pass checkWebhookUrl and then resolve
+// somewhere else.
+function guardedLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error)
+    if (!ALLOW_PRIVATE_URLS && addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`${hostname} resolves to a private, loopback or link-local address`))
+    }
+    if (options.all) return callback(null, addresses)
+    callback(null, addresses[0].address, addresses[0].family)
+  })
+}
+
+// POST a body and read the start of the response. Redirects aren't followed.
+function post(url, headers, body) {
+  return new Promise((resolve, reject) => {
+    const transport = new URL(url).protocol === "https:" ? https : http
+    const request = transport.request(
+      url,
+      {
+        method: "POST",
+        headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+        lookup: guardedLookup,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      },
+      (response) => {
+        let text = ""
+        response.setEncoding("utf8")
+        response.on("data", (chunk) => {
+          if (text.length < RESPONSE_BODY_LIMIT) text += chunk
+        })
+        response.on("end", () => {
+          resolve({
+            status: response.statusCode,
+            ok: response.statusCode >= 200 && response.statusCode < 300,
+            body: text.slice(0, RESPONSE_BODY_LIMIT),
+          })
+        })
+        response.on("error", reject)
+      },
+    )
+    request.on("error", reject)
+    request.end(body)
+  })
+}
+
+async function sendDelivery(delivery) {
+  const urlError = await checkWebhookUrl(delivery.url)
+  if (urlError) {
+    throw new Error(urlError)
+  }
+
+  const body = JSON.stringify(delivery.payload)
+  const timestamp = Math.floor(Date.now() / 1000)
+
+  return post(
+    delivery.url,
+    {
+      "Content-Type": "application/json",
+      "User-Agent": "BuyerLeads-Webhooks/1.0",
+      "X-Webhook-Id": delivery.id,
+      "X-Webhook-Event": delivery.event,
+      "X-Webhook-Timestamp": String(timestamp),
+      "X-Webhook-Signature": `sha256=${signPayload(delivery.secret, timestamp, body)}`,
+    },
+    body,
+  )
+}
+
+// Claim due deliveries and send them. SKIP LOCKED lets several server
+// processes share the queue without sending anything twice.
+async function processDueDeliveries() {
+  const claimed = await pool.query(
+    `
+    UPDATE webhook_deliveries d
+    SET 
+      attempts = d.attempts + 1,
+      last_attempt_at = CURRENT_TIMESTAMP,
+      next_attempt_at = CURRENT_TIMESTAMP + make_interval(secs => $2)
+    FROM webhooks w
+    WHERE d.webhook_id = w.id
+      AND d.id IN (
+        SELECT q.id
+        FROM webhook_deliveries q
+        JOIN webhooks qw ON q.webhook_id = qw.id
+        WHERE q.status = 'pending' AND q.next_attempt_at <= CURRENT_TIMESTAMP AND qw.active = TRUE
+        ORDER BY q.next_attempt_at
+        LIMIT $1
+        FOR UPDATE OF q SKIP LOCKED
+      )
+    RETURNING d.id, d.event, d.payload, d.attempts, w.url, w.secret
+  `,
+    [BATCH_SIZE, CLAIM_LEASE_SECONDS],
+  )
+
+  for (const delivery of claimed.rows) {
+    let result
+    try {
+      result = await sendDelivery(delivery)
+    } catch (error) {
+      result = { error: error.message }
+    }
+
+    if (result.ok) {
+      await pool.query(
+        `
+        UPDATE webhook_deliveries 
+        SET status = 'succeeded', response_status = $2, response_body = $3, error = NULL, 
+            delivered_at = CURRENT_TIMESTAMP, next_attempt_at = NULL
+        WHERE id = $1
+      `,
+        [delivery.id, result.status, result.body],
+      )
+      continue
+    }
+
+    const exhausted = delivery.attempts >= MAX_ATTEMPTS
+    await pool.query(
+      `
+      UPDATE webhook_deliveries 
+      SET status = $2, response_status = $3, response_body = $4, error = $5,
+          next_attempt_at = CASE WHEN $2 = 'pending' THEN CURRENT_TIMESTAMP + make_interval(secs => $6) END
+      WHERE id = $1
+    `,
+      [
+        delivery.id,
+        exhausted ? "failed" : "pending",
+        result.status || null,
+        result.body || null,
+        result.error || `Receiver responded with HTTP ${result.status}`,
+        retryDelaySeconds(delivery.attempts),
+      ],
+    )
+  }
+
+  return claimed.rows.length
+}
+
+let workerTimer = null
+let workerRunning = false
+
+// Poll the delivery queue in the background of the API process
+function startWebhookWorker() {
+  if (workerTimer) return
+
+  workerTimer = setInterval(async () => {
+    if (workerRunning) return
+    workerRunning = true
+    try {
+      // Keep going while full batches come back so backlogs drain quickly
+      let claimedCount
+      do {
+        claimedCount = await processDueDeliveries()
+      } while (claimedCount === BATCH_SIZE)
+    } catch (error) {
+      console.error("Webhook delivery error:", error)
+    } finally {
+      workerRunning = false
+    }
+  }, POLL_INTERVAL_MS)
+  workerTimer.unref()
+}
+
+module.exports = {
+  enqueueWebhookEvents,
+  enqueueWebhookDelivery,
+  signPayload,
+  checkWebhookUrl,
+  processDueDeliveries,
+  startWebhookWorker,
+}